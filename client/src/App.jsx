@@ -1,121 +1,899 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, Suspense, lazy } from "react";
 import axios from "axios";
+import Login from "./Login.jsx";
+
+// pdf.js is large, so the viewer loads the first time a source is opened
+const PdfViewer = lazy(() => import("./PdfViewer.jsx"));
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || "http://localhost:4000";
-const API_KEY = import.meta.env.VITE_SERVER_API_KEY || "dev_token";
+const AUTH_STORAGE_KEY = "pdfqa_auth";
+const SESSION_PARAM = "session";
+const HISTORY_TURNS = 6;
+const JOB_POLL_INTERVAL_MS = 500;
+
+const STAGE_LABELS = {
+  uploading: "Uploading",
+  queued: "Waiting in queue",
+  parsing: "Reading document",
+  chunking: "Splitting into sections",
+  embedding: "Creating embeddings",
+  indexing: "Indexing",
+  done: "Done"
+};
+
+// Icons for the document types the server can ingest
+const DOCUMENT_ICONS = {
+  pdf: "📕",
+  docx: "📘",
+  markdown: "📝",
+  html: "🌐",
+  text: "📄"
+};
+
+const ACCEPTED_FILE_TYPES = ".pdf,.docx,.md,.markdown,.html,.htm,.txt";
+
+const SUMMARY_LABELS = {
+  short: "Summary",
+  detailed: "Detailed summary",
+  outline: "Outline"
+};
+
+const QUIZ_TYPE_LABELS = {
+  mcq: "Multiple choice",
+  short_answer: "Short answer",
+  mixed: "Mixed"
+};
+
+const QUIZ_SIZES = [3, 5, 10];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Signed-in user and access token from a previous visit, if still valid
+function loadStoredAuth() {
+  try{
+    const auth = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+    return auth && new Date(auth.expiresAt) > new Date() ? auth : null;
+  }catch{
+    return null;
+  }
+}
+
+// Readable text for a failed request's JSON body. Limit errors (413, 415
+// and 429) get a hint on what to do next.
+function describeError(data, fallback) {
+  if(!data?.error) return fallback;
+  switch(data.code){
+    case "file_too_large":
+      return `${data.error} Try a smaller file.`;
+    case "unsupported_media_type":
+      return `${data.error} Choose a PDF, Word, Markdown, HTML or text file.`;
+    case "too_many_pages":
+      return `${data.error} Split the document into parts of at most ${data.limit} pages.`;
+    case "quota_exceeded": {
+      const resetAt = new Date(Date.now() + data.retry_after * 1000);
+      return `${data.error} (${resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} your time)`;
+    }
+    default:
+      return data.error;
+  }
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`;
+}
 
 // Generate unique session ID
 function generateSessionId() {
   return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// The session named in the page URL, if any
+function sessionIdFromUrl() {
+  return new URLSearchParams(window.location.search).get(SESSION_PARAM);
+}
+
+// Keep the active session in the URL so a refresh or a bookmark reopens it
+function writeSessionToUrl(sessionId, { replace = false } = {}) {
+  const url = new URL(window.location.href);
+  if(url.searchParams.get(SESSION_PARAM) === sessionId) return;
+  url.searchParams.set(SESSION_PARAM, sessionId);
+  window.history[replace ? "replaceState" : "pushState"](null, "", url);
+}
+
+// The system message listing an answer's sources, or null when it had none.
+// Prefers the passages the answer actually cites, carrying their quoted
+// evidence so the viewer can highlight it.
+function sourcesMessage(data, question) {
+  if(!data.sources || !data.sources.length) return null;
+  const cited = data.sources.filter(s => s.cited);
+  const snippets = new Map((data.citations || []).map(c => [c.id, c.snippet]));
+  const sources = (cited.length ? cited : data.sources).map(s => ({
+    ...s,
+    citation_id: cited.length ? s.citation_id : null,
+    snippet: snippets.get(s.citation_id)
+  }));
+  const sourcesText = sources
+    .map(s => `📄 ${s.source} (${formatSourceLocation(s)})`)
+    .join("\n");
+  const searchedFor = data.rewritten_question && data.rewritten_question !== question
+    ? data.rewritten_question
+    : null;
+  return { role: "system", text: `Sources referenced:\n${sourcesText}`, sources, searchedFor };
+}
+
+function summaryMessage(mode, documentId, documentName, summary) {
+  return {
+    role: "assistant",
+    text: `📝 ${SUMMARY_LABELS[mode]} of "${documentName}":\n\n${summary}`,
+    pageLinks: { documentId, name: documentName }
+  };
+}
+
+// Rebuild the chat from a session's saved conversation
+function restoreMessages(saved) {
+  const restored = [];
+  let question = "";
+  for(const m of saved){
+    const createdAt = m.created_at;
+    if(m.role === "user"){
+      question = m.text;
+      restored.push({ role: "user", text: m.text, qa: true, createdAt });
+    }else if(m.summary){
+      restored.push({ ...summaryMessage(m.summary.mode, m.summary.document_id, m.summary.document, m.text), createdAt });
+    }else{
+      restored.push({
+        id: m.id,
+        role: "assistant",
+        text: m.text,
+        citations: m.citations,
+        grounded: m.grounded,
+        unsupported: m.unsupported_sentences,
+        qa: true,
+        createdAt
+      });
+      const sources = sourcesMessage(m, question);
+      if(sources) restored.push({ ...sources, createdAt });
+    }
+  }
+  return restored;
+}
+
+// Format a source's page range, falling back to the chunk index for
+// documents indexed before page tracking existed. Documents without pages
+// (Word, Markdown, HTML) are located by section instead.
+function formatSourceLocation(source) {
+  if (source.page_start == null) return `section ${source.chunk_index + 1}`;
+  const [one, many] = source.page_unit === "section" ? ["§", "§§"] : ["p.", "pp."];
+  if (source.page_end == null || source.page_end === source.page_start) return `${one} ${source.page_start}`;
+  return `${many} ${source.page_start}–${source.page_end}`;
+}
+
+// Render a message's text, turning [n] citation markers into buttons that
+// reveal the quoted passage the answer relies on. Sources open in the
+// document viewer through onOpenSource.
+function MessageText({ message, onOpenSource }) {
+  const [openCitation, setOpenCitation] = useState(null);
+  const citations = message.citations || [];
+  const className = `message-text ${message.streaming ? 'streaming' : ''}`;
+  if (message.sources) {
+    return (
+      <div className={className}>
+        Sources referenced:
+        <div className="source-list">
+          {message.sources.map((s, i) => (
+            <button
+              key={i}
+              className="source-link"
+              onClick={() => onOpenSource(s)}
+              disabled={s.format && s.format !== "pdf"}
+              title={s.format && s.format !== "pdf" ? "Only PDFs can be shown in the viewer" : "Show in document"}
+            >
+              {s.citation_id ? `[${s.citation_id}] ` : ''}📄 {s.source} ({formatSourceLocation(s)})
+              {s.flagged && <span className="source-flag" title="Text in this passage looked like instructions to the assistant and was withheld from it"> ⚠ screened</span>}
+            </button>
+          ))}
+        </div>
+        {message.searchedFor && `\nSearched for: "${message.searchedFor}"`}
+      </div>
+    );
+  }
+  if (message.pageLinks) {
+    // Page references such as "(p. 3)" or "(pp. 2–4)" open the document there
+    const { documentId, name } = message.pageLinks;
+    return (
+      <div className={className}>
+        {message.text.split(/(\(pp?\. \d+(?:[–-]\d+)?\))/g).map((part, i) => {
+          const pages = part.match(/^\(pp?\. (\d+)(?:[–-](\d+))?\)$/);
+          if (!pages) return <React.Fragment key={i}>{part}</React.Fragment>;
+          return (
+            <button
+              key={i}
+              className="page-link"
+              onClick={() => onOpenSource({
+                document_id: documentId,
+                source: name,
+                page_start: Number(pages[1]),
+                page_end: Number(pages[2] || pages[1])
+              })}
+              title="Show in document"
+            >
+              {part}
+            </button>
+          );
+        })}
+      </div>
+    );
+  }
+  if (!citations.length) return <div className={className}>{message.text}</div>;
+
+  const byId = new Map(citations.map(c => [c.id, c]));
+  const active = byId.get(openCitation);
+  return (
+    <div className={className}>
+      {message.text.split(/(\[\d+(?:\s*,\s*\d+)*\])/g).map((part, i) => {
+        const marker = part.match(/^\[(\d+(?:\s*,\s*\d+)*)\]$/);
+        if (!marker) return <React.Fragment key={i}>{part}</React.Fragment>;
+        return marker[1].split(",").map(n => Number(n.trim())).filter(id => byId.has(id)).map(id => (
+          <button
+            key={`${i}-${id}`}
+            className={`citation-marker ${openCitation === id ? 'active' : ''}`}
+            onClick={() => setOpenCitation(openCitation === id ? null : id)}
+            title={`${byId.get(id).source} (${formatSourceLocation(byId.get(id))})`}
+          >
+            {id}
+          </button>
+        ));
+      })}
+      {active && (
+        <blockquote className="citation-quote">
+          <div className="citation-quote-text">“{active.snippet}”</div>
+          <button className="citation-quote-source" onClick={() => onOpenSource(active)} title="Show in document">
+            📄 {active.source} ({formatSourceLocation(active)})
+          </button>
+        </blockquote>
+      )}
+    </div>
+  );
+}
+
+// How well an answer's sentences are backed by the retrieved passages,
+// from the server's grounding check. Unsupported sentences are listed on
+// demand.
+function GroundingBadge({ grounded, unsupported = [] }) {
+  const [open, setOpen] = useState(false);
+  const level = grounded >= 0.8 ? "high" : grounded >= 0.5 ? "medium" : "low";
+  const label = { high: "Well supported", medium: "Partly supported", low: "Weakly supported" }[level];
+  return (
+    <div className={`grounding grounding-${level}`}>
+      <button
+        className="grounding-badge"
+        onClick={() => setOpen(!open)}
+        disabled={!unsupported.length}
+        title={unsupported.length ? "Show sentences the documents don't support" : "Every sentence is backed by the documents"}
+      >
+        {level === "high" ? "✓" : "⚠"} {label} by the documents ({Math.round(grounded * 100)}%)
+      </button>
+      {open && (
+        <ul className="grounding-unsupported">
+          {unsupported.map((sentence, i) => <li key={i}>{sentence}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Side panel for a practice quiz. Answers are graded by the server, which
+// explains each mistake from the source passage; missed questions can be
+// retried on their own until none are left.
+function QuizPanel({ serverUrl, token, sessionId, quiz, onOpenSource, onClose }) {
+  const [responses, setResponses] = useState({});
+  const [activeIds, setActiveIds] = useState(() => quiz.questions.map(q => q.id));
+  const [grade, setGrade] = useState(null);
+  const [grading, setGrading] = useState(false);
+  const [error, setError] = useState(null);
+  const retrying = activeIds.length < quiz.questions.length;
+  const questions = quiz.questions.filter(q => activeIds.includes(q.id));
+  const resultsById = new Map((grade?.results || []).map(r => [r.question_id, r]));
+
+  const setResponse = (id, value) => setResponses(prev => ({ ...prev, [id]: value }));
+
+  async function submitAnswers(e){
+    e.preventDefault();
+    setGrading(true);
+    setError(null);
+    try{
+      const resp = await axios.post(`${serverUrl}/api/quiz/${quiz.quiz_id}/grade`, {
+        sessionId,
+        responses: Object.fromEntries(activeIds.map(id => [id, responses[id] || ""])),
+        questionIds: retrying ? activeIds : undefined
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setGrade(resp.data);
+    }catch(err){
+      console.error(err);
+      setError(describeError(err?.response?.data, err.message));
+    }finally{
+      setGrading(false);
+    }
+  }
+
+  const retryMissed = () => {
+    setActiveIds(grade.missed);
+    setResponses(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !grade.missed.includes(Number(id)))));
+    setGrade(null);
+  };
+
+  return (
+    <aside className="quiz-panel">
+      <div className="pdf-viewer-header">
+        <div className="pdf-viewer-title">
+          📝 {QUIZ_TYPE_LABELS[quiz.type]} quiz{quiz.topic ? ` on "${quiz.topic}"` : ""}
+        </div>
+        <button className="pdf-viewer-close" onClick={onClose} title="Close quiz">
+          <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z" />
+          </svg>
+        </button>
+      </div>
+      {grade ? (
+        <div className="quiz-score">
+          <strong>{grade.correct} / {grade.total}</strong> correct ({Math.round(grade.score * 100)}%)
+          {retrying && " on the retried questions"}
+        </div>
+      ) : retrying && (
+        <div className="quiz-score">Retrying {activeIds.length} missed {activeIds.length === 1 ? "question" : "questions"}</div>
+      )}
+      <form className="quiz-body" onSubmit={submitAnswers}>
+        {questions.map((q, i) => {
+          const result = resultsById.get(q.id);
+          return (
+            <div key={q.id} className={`quiz-question ${result ? (result.correct ? 'correct' : 'incorrect') : ''}`}>
+              <div className="quiz-question-text">{i + 1}. {q.question}</div>
+              {q.type === "mcq" ? (
+                <div className="quiz-options">
+                  {q.options.map(option => (
+                    <label
+                      key={option.label}
+                      className={`quiz-option ${result && option.label === q.answer_label ? 'answer' : ''}`}
+                    >
+                      <input
+                        type="radio"
+                        name={`question-${q.id}`}
+                        value={option.label}
+                        checked={responses[q.id] === option.label}
+                        onChange={() => setResponse(q.id, option.label)}
+                        disabled={!!grade || grading}
+                      />
+                      {option.label}) {option.text}
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <input
+                  className="quiz-answer-input"
+                  type="text"
+                  placeholder="Your answer"
+                  value={responses[q.id] || ""}
+                  onChange={e => setResponse(q.id, e.target.value)}
+                  disabled={!!grade || grading}
+                />
+              )}
+              {result && (
+                <div className="quiz-result">
+                  <div className="quiz-verdict">
+                    {result.correct ? "✓ Correct" : `✗ Incorrect. The answer is ${result.answer_label ? `${result.answer_label}) ` : ""}${result.answer}`}
+                  </div>
+                  {result.feedback && <div className="quiz-feedback">{result.feedback}</div>}
+                  {!result.correct && result.explanation && <div className="quiz-feedback">{result.explanation}</div>}
+                  <blockquote className="citation-quote">
+                    <div className="citation-quote-text">“{result.source.snippet}”</div>
+                    <button className="citation-quote-source" onClick={() => onOpenSource(result.source)} type="button" title="Show in document">
+                      📄 {result.source.source} ({formatSourceLocation(result.source)})
+                    </button>
+                  </blockquote>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {error && <div className="quiz-error">❌ {error}</div>}
+        <div className="quiz-actions">
+          {!grade ? (
+            <button className="summarize-btn" type="submit" disabled={grading}>
+              {grading ? "Grading..." : "Check answers"}
+            </button>
+          ) : grade.missed.length > 0 ? (
+            <button className="summarize-btn" type="button" onClick={retryMissed}>
+              Retry {grade.missed.length} missed
+            </button>
+          ) : (
+            <span className="quiz-done">🎉 All questions answered correctly</span>
+          )}
+        </div>
+      </form>
+    </aside>
+  );
+}
+
+// Read a Server-Sent Events response body, calling onEvent(event, data)
+// for every complete event as it arrives
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = "message";
+      let data = "";
+      for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 function App(){
+  const [auth, setAuth] = useState(() => loadStoredAuth());
   const [messages, setMessages] = useState([
-    { role: "assistant", text: "Welcome! Upload a PDF document and start asking questions about its content. I'm here to help you understand and explore your documents."}
+    { role: "assistant", text: "Welcome! Upload a document and start asking questions about its content. I'm here to help you understand and explore your documents."}
   ]);
   const [question, setQuestion] = useState("");
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [uploadSuccess, setUploadSuccess] = useState(false);
-  const [sessionId, setSessionId] = useState(() => generateSessionId());
-  const [currentDocument, setCurrentDocument] = useState(null);
+  const [sessionId, setSessionId] = useState(() => sessionIdFromUrl() || generateSessionId());
+  const [sessions, setSessions] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const [uploadJob, setUploadJob] = useState(null);
+  const [viewerTarget, setViewerTarget] = useState(null);
+  const [summaryMode, setSummaryMode] = useState("short");
+  const [limits, setLimits] = useState(null);
+  const [quiz, setQuiz] = useState(null);
+  const [quizType, setQuizType] = useState("mcq");
+  const [quizSize, setQuizSize] = useState(5);
+  const [quizLoading, setQuizLoading] = useState(false);
   const chatRef = useRef();
   const fileInputRef = useRef();
+  const abortRef = useRef(null);
+  const authHeaders = { Authorization: `Bearer ${auth?.token}` };
 
   useEffect(()=> { 
     chatRef.current?.scrollTo({ top: chatRef.current.scrollHeight, behavior: "smooth" });
   }, [messages]);
 
   const appendMessage = (msg) => setMessages(prev => [...prev, msg]);
+  const updateMessage = (id, changes) => setMessages(prev => prev.map(m => m.id === id ? { ...m, ...changes } : m));
+
+  const handleLogin = (newAuth) => {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(newAuth));
+    setAuth(newAuth);
+  };
+
+  const signOut = () => {
+    abortRef.current?.abort();
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    setAuth(null);
+    setSessions([]);
+    startNewSession();
+  };
+
+  // An expired or revoked token sends the user back to the sign-in screen
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (err) => {
+      if(err?.response?.status === 401) signOut();
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // After signing in: server limits, so oversized files are caught before
+  // uploading, the session list, and the session named in the URL
+  useEffect(() => {
+    if(!auth) return;
+    axios.get(`${SERVER_URL}/api/usage`, { headers: authHeaders })
+      .then(resp => setLimits(resp.data.limits))
+      .catch(err => console.error(err));
+    loadSessions();
+    const urlSessionId = sessionIdFromUrl();
+    if(urlSessionId) openSession(urlSessionId, { updateUrl: false });
+    else writeSessionToUrl(sessionId, { replace: true });
+
+    // Back and forward move between sessions
+    const onPopState = () => {
+      const id = sessionIdFromUrl();
+      if(id) openSession(id, { updateUrl: false });
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [auth]);
+
+  async function loadSessions(){
+    try{
+      const resp = await axios.get(`${SERVER_URL}/api/sessions`, { headers: authHeaders });
+      setSessions(resp.data.sessions);
+    }catch(err){
+      console.error(err);
+    }
+  }
+
+  // Switch to a saved session, restoring its conversation and documents. An
+  // unknown ID opens as a new, empty session.
+  async function openSession(id, { updateUrl = true } = {}){
+    abortRef.current?.abort();
+    setSessionId(id);
+    setViewerTarget(null);
+    setQuiz(null);
+    setFile(null);
+    setDocuments([]);
+    if(updateUrl) writeSessionToUrl(id);
+    try{
+      const [conversation, docs] = await Promise.all([
+        axios.get(`${SERVER_URL}/api/sessions/${id}/messages`, { headers: authHeaders })
+          .catch(err => {
+            if(err?.response?.status === 404) return { data: { messages: [] } };
+            throw err;
+          }),
+        axios.get(`${SERVER_URL}/api/session/${id}/documents`, { headers: authHeaders })
+          .catch(err => {
+            if(err?.response?.status === 404) return { data: { documents: [] } };
+            throw err;
+          })
+      ]);
+      setDocuments(docs.data.documents.map(doc => ({
+        id: doc.document_id,
+        name: doc.name,
+        uploadedAt: new Date(doc.uploaded_at),
+        chunks: doc.chunks,
+        pages: doc.pages,
+        pageUnit: doc.page_unit || "page",
+        format: doc.format || "pdf"
+      })));
+      const restored = restoreMessages(conversation.data.messages);
+      setMessages(restored.length ? restored : [
+        { role: "assistant", text: "Upload a document and start asking questions about its content." }
+      ]);
+    }catch(err){
+      console.error(err);
+      startNewSession();
+      appendMessage({ 
+        role: "assistant", 
+        text: `❌ Could not open that session: ${describeError(err?.response?.data, err.message)}`
+      });
+    }
+  }
+
+  async function renameSession(session){
+    const title = window.prompt("Rename conversation", session.title || "");
+    if(!title || !title.trim()) return;
+    try{
+      await axios.patch(`${SERVER_URL}/api/sessions/${session.id}`, { title }, { headers: authHeaders });
+      loadSessions();
+    }catch(err){
+      console.error(err);
+      appendMessage({ role: "assistant", text: `❌ Could not rename the conversation: ${describeError(err?.response?.data, err.message)}` });
+    }
+  }
+
+  async function deleteSession(session){
+    if(!window.confirm(`Delete "${session.title || "Untitled conversation"}" and its documents?`)) return;
+    try{
+      await axios.delete(`${SERVER_URL}/api/sessions/${session.id}`, { headers: authHeaders });
+      if(session.id === sessionId) startNewSession();
+      loadSessions();
+    }catch(err){
+      console.error(err);
+      appendMessage({ role: "assistant", text: `❌ Could not delete the conversation: ${describeError(err?.response?.data, err.message)}` });
+    }
+  }
 
   const startNewSession = () => {
     const newSessionId = generateSessionId();
     setSessionId(newSessionId);
-    setCurrentDocument(null);
+    writeSessionToUrl(newSessionId);
+    setDocuments([]);
+    setViewerTarget(null);
+    setQuiz(null);
     setFile(null);
     setMessages([
-      { role: "assistant", text: "New session started! Upload a PDF document and start asking questions about its content."}
+      { role: "assistant", text: "New session started! Upload a document and start asking questions about its content."}
     ]);
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
     }
   };
 
+  // Poll an ingestion job until it finishes, mirroring its progress in state
+  async function waitForJob(jobId){
+    while(true){
+      const resp = await axios.get(`${SERVER_URL}/api/jobs/${jobId}`, {
+        headers: authHeaders
+      });
+      const job = resp.data;
+      setUploadJob(prev => prev && { ...prev, stage: job.stage, progress: job.progress });
+      if(["completed", "failed", "cancelled"].includes(job.status)) return job;
+      await sleep(JOB_POLL_INTERVAL_MS);
+    }
+  }
+
   async function handleUpload(e){
     e.preventDefault();
-    if(!file) return;
+    if(!file || uploadJob) return;
+    if(limits?.max_upload_bytes && file.size > limits.max_upload_bytes){
+      appendMessage({ 
+        role: "assistant", 
+        text: `❌ "${file.name}" is ${formatMegabytes(file.size)}, larger than the ${formatMegabytes(limits.max_upload_bytes)} upload limit. Try a smaller file.`
+      });
+      return;
+    }
     
     const form = new FormData();
     form.append("file", file);
     form.append("sessionId", sessionId);
+    const fileName = file.name;
 
     try{
-      setLoading(true);
+      setUploadJob({ id: null, stage: "uploading", progress: 0 });
       const resp = await axios.post(`${SERVER_URL}/api/upload`, form, {
-        headers: { "x-api-key": API_KEY, "Content-Type": "multipart/form-data" }
+        headers: { ...authHeaders, "Content-Type": "multipart/form-data" }
       });
+      setUploadJob(prev => prev && { ...prev, id: resp.data.job_id, stage: resp.data.status });
       
-      setCurrentDocument({
-        name: file.name,
+      const job = await waitForJob(resp.data.job_id);
+      if(job.status === "cancelled"){
+        appendMessage({ role: "system", text: `Upload of "${fileName}" was cancelled.` });
+        return;
+      }
+      if(job.status === "failed"){
+        appendMessage({ role: "assistant", text: `❌ Processing "${fileName}" failed: ${job.error}` });
+        return;
+      }
+
+      const result = job.result;
+      setDocuments(prev => [...prev, {
+        id: result.document_id,
+        name: fileName,
         uploadedAt: new Date(),
-        chunks: resp.data.uploaded_chunks
-      });
+        chunks: result.uploaded_chunks,
+        pages: result.pages,
+        pageUnit: result.page_unit || "page",
+        format: result.format || "pdf"
+      }]);
       
+      const skippedNote = result.skipped_chunks
+        ? ` ${result.skipped_chunks} chunk${result.skipped_chunks === 1 ? '' : 's'} could not be embedded and were skipped.`
+        : "";
+      const cacheNote = result.cache_hit
+        ? ` This document was seen before, so ${result.reused_chunks} chunk embedding${result.reused_chunks === 1 ? ' was' : 's were'} reused.`
+        : "";
       appendMessage({ 
         role: "assistant", 
-        text: `✅ Successfully processed "${file.name}"!\n\nDocument has been analyzed and indexed into ${resp.data.uploaded_chunks} searchable chunks. You can now ask me questions about the content of this specific document.`
+        text: `✅ Successfully processed "${fileName}"!\n\nDocument has been analyzed and indexed into ${result.uploaded_chunks} searchable chunks.${cacheNote}${skippedNote} It has been added to this session, so you can ask questions across all ${documents.length + 1} loaded document${documents.length ? 's' : ''}.`
       });
+      setFile(null);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = "";
+      }
       setUploadSuccess(true);
       setTimeout(() => setUploadSuccess(false), 3000);
+      loadSessions();
     }catch(err){
       console.error(err);
       appendMessage({ 
         role: "assistant", 
-        text: `❌ Upload failed: ${err?.response?.data?.error || "Please check your connection and try again."}`
+        text: `❌ Upload failed: ${describeError(err?.response?.data, "Please check your connection and try again.")}`
       });
     }finally{ 
-      setLoading(false); 
+      setUploadJob(null);
+    }
+  }
+
+  async function cancelUpload(){
+    if(!uploadJob?.id) return;
+    try{
+      await axios.delete(`${SERVER_URL}/api/jobs/${uploadJob.id}`, {
+        headers: authHeaders
+      });
+    }catch(err){
+      // The job may have finished in the meantime; polling reports the outcome
+      console.error(err);
+    }
+  }
+
+  async function removeDocument(doc){
+    try{
+      await axios.delete(`${SERVER_URL}/api/session/${sessionId}/documents/${doc.id}`, {
+        headers: authHeaders
+      });
+      setDocuments(prev => prev.filter(d => d.id !== doc.id));
+      setViewerTarget(prev => prev?.documentId === doc.id ? null : prev);
+      appendMessage({ role: "system", text: `Removed "${doc.name}" from this session.` });
+    }catch(err){
+      console.error(err);
+      appendMessage({ 
+        role: "assistant", 
+        text: `❌ Could not remove "${doc.name}": ${describeError(err?.response?.data, err.message)}`
+      });
+    }
+  }
+
+  // Download a document's questions, parsed by the server's question-bank
+  // extractor, as JSON or CSV
+  async function exportQuestions(doc, format){
+    try{
+      const resp = await axios.post(`${SERVER_URL}/api/extract`, {
+        sessionId,
+        documentId: doc.id,
+        mode: "question_bank",
+        format
+      }, {
+        headers: authHeaders,
+        responseType: format === "csv" ? "blob" : "json"
+      });
+      const blob = format === "csv"
+        ? resp.data
+        : new Blob([JSON.stringify(resp.data.result, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${doc.name.replace(/\.[^.]+$/, '')}-questions.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    }catch(err){
+      console.error(err);
+      appendMessage({ 
+        role: "assistant", 
+        text: `❌ Could not export questions from "${doc.name}": ${describeError(err?.response?.data, err.message)}`
+      });
+    }
+  }
+
+  // Summarize every document in the session and post the results to the chat
+  async function summarizeDocuments(){
+    if(!documents.length || loading) return;
+    setLoading(true);
+    try{
+      const resp = await axios.post(`${SERVER_URL}/api/summarize`, { sessionId, mode: summaryMode }, {
+        headers: authHeaders
+      });
+      for(const result of resp.data.summaries){
+        appendMessage(summaryMessage(resp.data.mode, result.document_id, result.document, result.summary));
+      }
+      loadSessions();
+    }catch(err){
+      console.error(err);
+      appendMessage({ 
+        role: "assistant", 
+        text: `❌ Summarization failed: ${describeError(err?.response?.data, err.message)}`
+      });
+    }finally{
+      setLoading(false);
+    }
+  }
+
+  // Generate a practice quiz from the session's documents and open it next
+  // to the chat
+  async function startQuiz(){
+    if(!documents.length || quizLoading) return;
+    setQuizLoading(true);
+    try{
+      const resp = await axios.post(`${SERVER_URL}/api/quiz`, { sessionId, type: quizType, count: quizSize }, {
+        headers: authHeaders
+      });
+      setQuiz(resp.data);
+    }catch(err){
+      console.error(err);
+      appendMessage({ 
+        role: "assistant", 
+        text: `❌ Could not write a quiz: ${describeError(err?.response?.data, err.message)}`
+      });
+    }finally{
+      setQuizLoading(false);
     }
   }
 
+  // Open a cited source in the document viewer, which only shows PDFs
+  const openSource = (source) => {
+    if(!source.document_id) return;
+    const format = source.format || documents.find(d => d.id === source.document_id)?.format || "pdf";
+    if(format !== "pdf") return;
+    setViewerTarget({
+      documentId: source.document_id,
+      name: source.source,
+      page: source.page_start,
+      pageEnd: source.page_end,
+      snippet: source.snippet
+    });
+  };
+
   async function handleAsk(e){
     e?.preventDefault();
-    if(!question.trim()) return;
+    if(!question.trim() || loading) return;
     
-    appendMessage({ role: "user", text: question });
+    // Recent question/answer turns let the server resolve follow-ups
+    const history = messages
+      .filter(m => m.qa && !m.streaming)
+      .slice(-HISTORY_TURNS)
+      .map(m => ({ role: m.role, text: m.text }));
+
+    appendMessage({ role: "user", text: question, qa: true });
     const currentQuestion = question;
     setQuestion("");
     setLoading(true);
+    setStreaming(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const messageId = `answer_${Date.now()}`;
+    let answer = "";
     
     try{
-      const resp = await axios.post(`${SERVER_URL}/api/ask`, { 
-        question: currentQuestion,
-        sessionId: sessionId 
-      }, {
-        headers: { "x-api-key": API_KEY }
+      const resp = await fetch(`${SERVER_URL}/api/ask/stream`, {
+        method: "POST",
+        headers: { ...authHeaders, "Content-Type": "application/json", "Accept": "text/event-stream" },
+        body: JSON.stringify({ question: currentQuestion, sessionId, history }),
+        signal: controller.signal
       });
-      appendMessage({ role: "assistant", text: resp.data.answer });
-      
-      if(resp.data.sources && resp.data.sources.length){
-        const sourcesText = resp.data.sources
-          .map(s => `📄 ${s.source} (section ${s.chunk_index + 1})`)
-          .join("\n");
+      if(resp.status === 401){
+        signOut();
+        return;
+      }
+      if(!resp.ok){
+        const data = await resp.json().catch(() => ({}));
+        const error = new Error(describeError(data, `Request failed with status ${resp.status}`));
+        error.limited = resp.status === 429;
+        throw error;
+      }
+
+      await readEventStream(resp, (event, data) => {
+        if(event === "delta"){
+          if(!answer) appendMessage({ id: messageId, role: "assistant", text: data.text, streaming: true, qa: true });
+          else updateMessage(messageId, { text: answer + data.text });
+          answer += data.text;
+        }else if(event === "done"){
+          const final = { text: data.answer, citations: data.citations, grounded: data.grounded, unsupported: data.unsupported_sentences };
+          if(answer) updateMessage(messageId, { ...final, streaming: false });
+          else appendMessage({ id: messageId, role: "assistant", ...final, qa: true });
+          const sources = sourcesMessage(data, currentQuestion);
+          if(sources) appendMessage(sources);
+        }else if(event === "error"){
+          throw new Error(data.error);
+        }
+      });
+    }catch(err){
+      if(err.name === "AbortError"){
+        if(answer) updateMessage(messageId, { text: `${answer} …`, streaming: false });
+        appendMessage({ role: "system", text: "Generation stopped." });
+      }else if(err.limited){
+        // Rate limits and quotas: rephrasing won't help, waiting will
+        appendMessage({ role: "assistant", text: `⏳ ${err.message}` });
+      }else{
+        console.error(err);
+        if(answer) updateMessage(messageId, { streaming: false });
         appendMessage({ 
-          role: "system", 
-          text: `Sources referenced:\n${sourcesText}`
+          role: "assistant", 
+          text: `I apologize, but I encountered an error: ${err.message}. Please try rephrasing your question.`
         });
       }
-    }catch(err){
-      console.error(err);
-      appendMessage({ 
-        role: "assistant", 
-        text: `I apologize, but I encountered an error: ${err?.response?.data?.error || err.message}. Please try rephrasing your question.`
-      });
     }finally{ 
+      abortRef.current = null;
+      setStreaming(false);
       setLoading(false); 
+      loadSessions();
     }
   }
 
+  const stopGenerating = () => abortRef.current?.abort();
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -125,10 +903,14 @@ function App(){
 
   const clearChat = () => {
     setMessages([
-      { role: "assistant", text: "Chat cleared. Upload a PDF and start asking questions!" }
+      { role: "assistant", text: "Chat cleared. Upload a document and start asking questions!" }
     ]);
   };
 
+  if(!auth){
+    return <Login serverUrl={SERVER_URL} onLogin={handleLogin} />;
+  }
+
   return (
     <div className="app">
       {/* Header */}
@@ -146,6 +928,7 @@ function App(){
             </div>
           </div>
           <div className="header-actions">
+            <span className="user-name" title="Signed in">{auth.user.username}</span>
             <button className="session-btn" onClick={startNewSession} title="Start new session">
               <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
                 <path d="M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2M12,4A8,8 0 0,1 20,12A8,8 0 0,1 12,20A8,8 0 0,1 4,12A8,8 0 0,1 12,4M12,6A6,6 0 0,0 6,12A6,6 0 0,0 12,18A6,6 0 0,0 18,12A6,6 0 0,0 12,6M12,8A4,4 0 0,1 16,12A4,4 0 0,1 12,16A4,4 0 0,1 8,12A4,4 0 0,1 12,8Z" />
@@ -157,6 +940,9 @@ function App(){
                 <path d="M19,4H15.5L14.5,3H9.5L8.5,4H5V6H19M6,19A2,2 0 0,0 8,21H16A2,2 0 0,0 18,19V7H6V19Z" />
               </svg>
             </button>
+            <button className="clear-btn" onClick={signOut} title="Sign out">
+              Sign out
+            </button>
           </div>
         </div>
       </header>
@@ -170,7 +956,7 @@ function App(){
               <div className="file-input-wrapper">
                 <input 
                   type="file" 
-                  accept="application/pdf" 
+                  accept={ACCEPTED_FILE_TYPES}
                   onChange={e=>setFile(e.target.files[0])}
                   ref={fileInputRef}
                   className="file-input"
@@ -180,15 +966,15 @@ function App(){
                   <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
                     <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z" />
                   </svg>
-                  {file ? file.name : "Choose PDF file"}
+                  {file ? file.name : "Choose a document"}
                 </label>
               </div>
               <button 
                 className={`upload-btn ${uploadSuccess ? 'success' : ''}`}
                 type="submit" 
-                disabled={loading || !file}
+                disabled={!!uploadJob || !file}
               >
-                {loading ? (
+                {uploadJob ? (
                   <>
                     <div className="spinner"></div>
                     Processing...
@@ -210,39 +996,142 @@ function App(){
                 )}
               </button>
             </form>
+
+            {uploadJob && (
+              <div className="upload-progress">
+                <div className="progress-header">
+                  <span>{STAGE_LABELS[uploadJob.stage] || uploadJob.stage}</span>
+                  <span>{uploadJob.progress}%</span>
+                </div>
+                <div className="progress-track">
+                  <div className="progress-fill" style={{ width: `${uploadJob.progress}%` }} />
+                </div>
+                <button
+                  className="cancel-upload-btn"
+                  onClick={cancelUpload}
+                  disabled={!uploadJob.id}
+                  type="button"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
             
             <div className="help-text">
-              <p>Upload PDF documents up to 10MB. Each session focuses on one document at a time for precise answers.</p>
+              <p>Upload PDF, Word (.docx), Markdown, HTML or text documents{limits?.max_upload_bytes ? ` up to ${formatMegabytes(limits.max_upload_bytes)}` : ""}{limits?.max_upload_pages ? ` and ${limits.max_upload_pages} pages` : ""}. You can add several documents to a session and ask questions across all of them.</p>
             </div>
           </div>
 
-          {/* Current Document */}
-          {currentDocument && (
+          {/* Session Documents */}
+          {documents.length > 0 && (
             <div className="documents-section">
-              <h3 className="section-title">Current Document</h3>
-              <div className="document-item">
-                <div className="document-icon">📄</div>
-                <div className="document-info">
-                  <div className="document-name">{currentDocument.name}</div>
-                  <div className="document-meta">
-                    {currentDocument.chunks} chunks • {currentDocument.uploadedAt.toLocaleTimeString()}
+              <h3 className="section-title">Documents ({documents.length})</h3>
+              <div className="documents-list">
+                {documents.map(doc => (
+                  <div key={doc.id} className="document-item">
+                    <div className="document-icon" title={doc.format}>{DOCUMENT_ICONS[doc.format] || "📄"}</div>
+                    <div className="document-info">
+                      <div className="document-name" title={doc.name}>{doc.name}</div>
+                      <div className="document-meta">
+                        {doc.pages} {doc.pageUnit === "section" ? "sections" : "pages"} • {doc.chunks} chunks • {doc.uploadedAt.toLocaleTimeString()}
+                      </div>
+                      <div className="document-export">
+                        Export questions:
+                        <button onClick={() => exportQuestions(doc, "json")}>JSON</button>
+                        <button onClick={() => exportQuestions(doc, "csv")}>CSV</button>
+                      </div>
+                    </div>
+                    <button
+                      className="document-remove"
+                      onClick={() => removeDocument(doc)}
+                      disabled={loading}
+                      title="Remove document from session"
+                    >
+                      <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+                        <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z" />
+                      </svg>
+                    </button>
                   </div>
-                </div>
+                ))}
+              </div>
+              <div className="summarize-actions">
+                <select
+                  className="summary-mode"
+                  value={summaryMode}
+                  onChange={e => setSummaryMode(e.target.value)}
+                  disabled={loading}
+                >
+                  <option value="short">Short summary</option>
+                  <option value="detailed">Detailed summary</option>
+                  <option value="outline">Section outline</option>
+                </select>
+                <button className="summarize-btn" onClick={summarizeDocuments} disabled={loading}>
+                  Summarize
+                </button>
+              </div>
+              <div className="summarize-actions">
+                <select
+                  className="summary-mode"
+                  value={quizType}
+                  onChange={e => setQuizType(e.target.value)}
+                  disabled={quizLoading}
+                >
+                  {Object.entries(QUIZ_TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  className="summary-mode quiz-size"
+                  value={quizSize}
+                  onChange={e => setQuizSize(Number(e.target.value))}
+                  disabled={quizLoading}
+                  title="Number of questions"
+                >
+                  {QUIZ_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+                <button className="summarize-btn" onClick={startQuiz} disabled={quizLoading}>
+                  {quizLoading ? "Writing..." : "Quiz me"}
+                </button>
               </div>
             </div>
           )}
 
-          {/* Recent Messages */}
+          {/* Conversations */}
           <div className="recent-section">
-            <h3 className="section-title">Recent Activity</h3>
-            <div className="recent-messages">
-              {messages.slice(-4).map((m,i)=> (
-                <div key={i} className={`recent-message ${m.role}`}>
-                  <div className="message-role">
-                    {m.role === 'user' ? '👤' : m.role === 'assistant' ? '🤖' : '📋'}
+            <h3 className="section-title">Conversations</h3>
+            <div className="session-list">
+              {sessions.length === 0 && (
+                <div className="session-empty">No saved conversations yet</div>
+              )}
+              {sessions.map(s => (
+                <div
+                  key={s.id}
+                  className={`session-item ${s.id === sessionId ? 'active' : ''}`}
+                  onClick={() => s.id !== sessionId && openSession(s.id)}
+                  title={s.title || "Untitled conversation"}
+                >
+                  <div className="session-info">
+                    <div className="session-title">{s.title || "Untitled conversation"}</div>
+                    <div className="session-meta">
+                      {new Date(s.updated_at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      {' • '}{s.message_count} messages
+                    </div>
                   </div>
-                  <div className="message-preview">
-                    {m.text.slice(0, 80)}{m.text.length > 80 ? '...' : ''}
+                  <div className="session-actions">
+                    <button
+                      className="session-action"
+                      onClick={e => { e.stopPropagation(); renameSession(s); }}
+                      title="Rename"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      className="session-action"
+                      onClick={e => { e.stopPropagation(); deleteSession(s); }}
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
                   </div>
                 </div>
               ))}
@@ -265,14 +1154,15 @@ function App(){
                   )}
                 </div>
                 <div className="message-content">
-                  <div className="message-text">{m.text}</div>
+                  <MessageText message={m} onOpenSource={openSource} />
+                  {m.grounded != null && !m.streaming && <GroundingBadge grounded={m.grounded} unsupported={m.unsupported} />}
                   <div className="message-time">
-                    {new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {(m.createdAt ? new Date(m.createdAt) : new Date()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                   </div>
                 </div>
               </div>
             ))}
-            {loading && (
+            {loading && !messages[messages.length - 1]?.streaming && (
               <div className="message assistant">
                 <div className="message-avatar">
                   <div className="avatar assistant-avatar">AI</div>
@@ -292,33 +1182,69 @@ function App(){
           <div className="input-container">
             <div className="input-wrapper">
               <textarea
-                placeholder={currentDocument ? `Ask a question about "${currentDocument.name}"...` : "Upload a PDF document first to start asking questions..."}
+                placeholder={documents.length === 1 ? `Ask a question about "${documents[0].name}"...` : documents.length ? `Ask a question about your ${documents.length} documents...` : "Upload a document first to start asking questions..."}
                 value={question}
                 onChange={e=>setQuestion(e.target.value)}
                 onKeyPress={handleKeyPress}
                 rows="1"
                 className="message-input"
-                disabled={!currentDocument}
+                disabled={!documents.length}
               />
-              <button 
-                className="send-btn"
-                onClick={handleAsk}
-                disabled={loading || !question.trim() || !currentDocument}
-                title="Send message"
-              >
-                <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
-                  <path d="M2,21L23,12L2,3V10L17,12L2,14V21Z" />
-                </svg>
-              </button>
+              {streaming ? (
+                <button 
+                  className="send-btn stop-btn"
+                  onClick={stopGenerating}
+                  title="Stop generating"
+                >
+                  <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
+                    <path d="M6,6H18V18H6V6Z" />
+                  </svg>
+                </button>
+              ) : (
+                <button 
+                  className="send-btn"
+                  onClick={handleAsk}
+                  disabled={loading || !question.trim() || !documents.length}
+                  title="Send message"
+                >
+                  <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+                    <path d="M2,21L23,12L2,3V10L17,12L2,14V21Z" />
+                  </svg>
+                </button>
+              )}
             </div>
             <div className="input-footer">
               <span className="tip">
-                {currentDocument ? "Press Enter to send • Shift+Enter for new line" : "Upload a document to enable chat"}
+                {documents.length ? "Press Enter to send • Shift+Enter for new line" : "Upload a document to enable chat"}
               </span>
               <span className="session-id">Session: {sessionId.split('_')[1]}</span>
             </div>
           </div>
         </main>
+
+        {quiz && (
+          <QuizPanel
+            key={quiz.quiz_id}
+            serverUrl={SERVER_URL}
+            token={auth.token}
+            sessionId={sessionId}
+            quiz={quiz}
+            onOpenSource={openSource}
+            onClose={() => setQuiz(null)}
+          />
+        )}
+
+        {viewerTarget && (
+          <Suspense fallback={<aside className="pdf-viewer"><div className="pdf-viewer-status">Loading viewer...</div></aside>}>
+            <PdfViewer
+              serverUrl={SERVER_URL}
+              token={auth.token}
+              sessionId={sessionId}
+              target={viewerTarget}
+              onClose={() => setViewerTarget(null)}
+            />
+          </Suspense>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+import axios from "axios";
+
+// Sign-in screen shown until the user has an access token. The same form
+// creates an account when switched to "register".
+function Login({ serverUrl, onLogin }) {
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  async function handleSubmit(e){
+    e.preventDefault();
+    if(submitting) return;
+    setSubmitting(true);
+    setError(null);
+    try{
+      const resp = await axios.post(`${serverUrl}/api/auth/${mode}`, { username, password });
+      onLogin({ token: resp.data.token, expiresAt: resp.data.expires_at, user: resp.data.user });
+    }catch(err){
+      setError(err?.response?.data?.error || "Could not reach the server. Please try again.");
+    }finally{
+      setSubmitting(false);
+    }
+  }
+
+  const switchMode = () => {
+    setMode(prev => prev === "login" ? "register" : "login");
+    setError(null);
+  };
+
+  return (
+    <div className="app login-app">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <div className="logo">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z" />
+          </svg>
+        </div>
+        <h1 className="title">{mode === "login" ? "Sign in to PDF Assistant" : "Create your account"}</h1>
+        <label className="login-field">
+          <span>Username</span>
+          <input
+            type="text"
+            value={username}
+            onChange={e => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+          />
+        </label>
+        <label className="login-field">
+          <span>Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            autoComplete={mode === "login" ? "current-password" : "new-password"}
+            minLength={mode === "register" ? 8 : undefined}
+            required
+          />
+        </label>
+        {error && <div className="login-error">{error}</div>}
+        <button className="upload-btn" type="submit" disabled={submitting || !username || !password}>
+          {submitting ? <div className="spinner"></div> : mode === "login" ? "Sign in" : "Create account"}
+        </button>
+        <button className="login-switch" type="button" onClick={switchMode}>
+          {mode === "login" ? "New here? Create an account" : "Already have an account? Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,175 @@
+import React, { useState, useRef, useEffect } from "react";
+import { getDocument, GlobalWorkerOptions, TextLayer } from "pdfjs-dist";
+import workerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import "pdfjs-dist/web/pdf_viewer.css";
+
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+// PDF text runs and indexed chunk text differ in spacing and case, so
+// passages are compared on their remaining characters only
+function squash(text) {
+  return text.normalize("NFKC").toLowerCase().replace(/\s+/g, "");
+}
+
+// Indexes of the text items that cover `snippet`, or [] when it isn't on
+// the page. Falls back to the snippet's opening characters, which survive
+// text cleanup more often than the whole passage.
+function findSnippetItems(items, snippet) {
+  const needle = squash(snippet || "");
+  if(!needle) return [];
+  let haystack = "";
+  const owners = [];
+  items.forEach((str, i) => {
+    const squashed = squash(str);
+    haystack += squashed;
+    for(let k = 0; k < squashed.length; k++) owners.push(i);
+  });
+  for(const candidate of [needle, needle.slice(0, 40)]){
+    const start = haystack.indexOf(candidate);
+    if(start !== -1) return [...new Set(owners.slice(start, start + candidate.length))];
+  }
+  return [];
+}
+
+// Side panel that shows a session document, opened at `target.page` with
+// `target.snippet` highlighted. When the cited chunk spans several pages
+// the viewer opens the first one that contains the snippet.
+function PdfViewer({ serverUrl, token, sessionId, target, onClose }) {
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(target.page || 1);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef();
+  const textLayerRef = useRef();
+  const pageRef = useRef();
+
+  // Download the original file once per document
+  useEffect(() => {
+    let cancelled = false;
+    let loadingTask = null;
+    setPdf(null);
+    setError(null);
+    (async () => {
+      try{
+        const resp = await fetch(`${serverUrl}/api/session/${sessionId}/documents/${target.documentId}/file`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        if(!resp.ok){
+          const data = await resp.json().catch(() => ({}));
+          throw new Error(data.error || `Request failed with status ${resp.status}`);
+        }
+        const data = new Uint8Array(await resp.arrayBuffer());
+        if(cancelled) return;
+        loadingTask = getDocument({ data });
+        const doc = await loadingTask.promise;
+        if(!cancelled) setPdf(doc);
+      }catch(err){
+        if(!cancelled) setError(err.message);
+      }
+    })();
+    return () => {
+      cancelled = true;
+      loadingTask?.destroy();
+    };
+  }, [serverUrl, token, sessionId, target.documentId]);
+
+  // Pick the page to show for the current target
+  useEffect(() => {
+    if(!pdf) return;
+    let cancelled = false;
+    (async () => {
+      const first = Math.min(Math.max(target.page || 1, 1), pdf.numPages);
+      const last = Math.min(target.pageEnd || first, pdf.numPages);
+      for(let n = first; n <= last && target.snippet; n++){
+        const page = await pdf.getPage(n);
+        const content = await page.getTextContent();
+        if(findSnippetItems(content.items.map(item => item.str || ""), target.snippet).length){
+          if(!cancelled) setPageNumber(n);
+          return;
+        }
+      }
+      if(!cancelled) setPageNumber(first);
+    })();
+    return () => { cancelled = true; };
+  }, [pdf, target]);
+
+  // Render the page with a text layer, highlighting the snippet
+  useEffect(() => {
+    if(!pdf || pageNumber > pdf.numPages) return;
+    let renderTask = null;
+    let textLayer = null;
+    let cancelled = false;
+    (async () => {
+      try{
+        const page = await pdf.getPage(pageNumber);
+        if(cancelled) return;
+        const baseViewport = page.getViewport({ scale: 1 });
+        const scale = (pageRef.current.parentElement.clientWidth - 32) / baseViewport.width;
+        const viewport = page.getViewport({ scale });
+        const outputScale = window.devicePixelRatio || 1;
+
+        const canvas = canvasRef.current;
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+        pageRef.current.style.setProperty("--scale-factor", scale);
+
+        renderTask = page.render({
+          canvasContext: canvas.getContext("2d"),
+          viewport,
+          transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+
+        const container = textLayerRef.current;
+        container.replaceChildren();
+        textLayer = new TextLayer({ textContentSource: page.streamTextContent(), container, viewport });
+        await Promise.all([renderTask.promise, textLayer.render()]);
+        if(cancelled) return;
+
+        const matched = findSnippetItems(textLayer.textContentItemsStr, target.snippet);
+        matched.forEach(i => textLayer.textDivs[i]?.classList.add("pdf-highlight"));
+        textLayer.textDivs[matched[0]]?.scrollIntoView({ block: "center", behavior: "smooth" });
+      }catch(err){
+        if(err?.name !== "RenderingCancelledException" && !cancelled) setError(err.message);
+      }
+    })();
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+      textLayer?.cancel();
+    };
+  }, [pdf, pageNumber, target]);
+
+  return (
+    <aside className="pdf-viewer">
+      <div className="pdf-viewer-header">
+        <div className="pdf-viewer-title" title={target.name}>📄 {target.name}</div>
+        <button className="pdf-viewer-close" onClick={onClose} title="Close document">
+          <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z" />
+          </svg>
+        </button>
+      </div>
+      {pdf && (
+        <div className="pdf-viewer-nav">
+          <button onClick={() => setPageNumber(n => n - 1)} disabled={pageNumber <= 1}>‹</button>
+          <span>Page {pageNumber} of {pdf.numPages}</span>
+          <button onClick={() => setPageNumber(n => n + 1)} disabled={pageNumber >= pdf.numPages}>›</button>
+        </div>
+      )}
+      <div className="pdf-viewer-body">
+        {error ? (
+          <div className="pdf-viewer-status">❌ {error}</div>
+        ) : !pdf ? (
+          <div className="pdf-viewer-status">Loading document...</div>
+        ) : null}
+        <div className="pdf-page" ref={pageRef} style={{ display: pdf && !error ? "block" : "none" }}>
+          <canvas ref={canvasRef} />
+          <div className="textLayer" ref={textLayerRef} />
+        </div>
+      </div>
+    </aside>
+  );
+}
+
+export default PdfViewer;
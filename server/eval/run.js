@@ -0,0 +1,369 @@
+// Offline evaluation harness. Ingests each golden set's fixture PDF with the
+// server's own parsing, chunking, indexing and retrieval code, using the
+// stub model provider and a throwaway local vector store, then scores the
+// golden questions, checks the text normalization, extraction and
+// prompt-injection fixtures and prints a diff against eval/baseline.json.
+// Exits with status 1 when a metric falls more than EVAL_TOLERANCE (default
+// 0.01) below the baseline or a fixture case fails.
+//
+// Usage: npm run eval -- [--answers] [--verbose] [--update-baseline]
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStubProvider } from "../lib/providers/stub.js";
+import { createLocalVectorStore } from "../lib/vectorstores/local.js";
+import { createLexicalIndex } from "../lib/lexical.js";
+import { detectFileType, extractDocument } from "../lib/extractors/index.js";
+import { cleanText, normalizeText, toSearchText } from "../lib/text.js";
+import { chunkDocument, chunkVectors, fetchNeighborChunks, indexVectors } from "../lib/indexing.js";
+import { retrieve, RETRIEVAL_MODES } from "../lib/retrieval.js";
+import { assembleContext } from "../lib/context.js";
+import { buildAnswerPrompt, resolveCitations } from "../lib/citations.js";
+import { checkGrounding, looksLikeInjection, screenChunks } from "../lib/grounding.js";
+import { parseQuestionBank } from "../lib/worksheet.js";
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.resolve(EVAL_DIR, "..");
+const GOLDEN_DIR = path.join(EVAL_DIR, "golden");
+const NORMALIZATION_FIXTURES = path.join(EVAL_DIR, "fixtures", "normalization.json");
+const EXTRACTION_FIXTURES = path.join(EVAL_DIR, "fixtures", "extraction.json");
+const INJECTION_FIXTURES = path.join(EVAL_DIR, "fixtures", "injection.json");
+const BASELINE_PATH = path.join(EVAL_DIR, "baseline.json");
+
+const K_VALUES = [1, 3, 5];
+const RETRIEVAL_DEPTH = 10;
+const ANSWER_TOP_K = Number(process.env.EVAL_TOP_K) || 4;
+const TOLERANCE = Number(process.env.EVAL_TOLERANCE ?? 0.01);
+// Fixture suites are exact checks: any failing case fails the run
+const FIXTURE_METRICS = ["normalization.pass_rate", "extraction.pass_rate", "injection.pass_rate"];
+
+const args = new Set(process.argv.slice(2));
+
+// Compare passages on letters and digits only, so whitespace and
+// punctuation differences between extraction and golden text don't matter
+function squash(text) {
+    return text.normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Ingests a golden set's document the way the server does, minus the
+// caches: the search form of each chunk is embedded, chunks too short to
+// embed are skipped, and the vectors are stored and keyword-indexed
+async function ingest(golden, { vectorStore, lexicalIndex, provider, sessionId }) {
+    const data = await fs.readFile(path.join(SERVER_DIR, golden.document));
+    const format = detectFileType(data, golden.document);
+    const { pages, numPages, unit } = await extractDocument(format, data);
+    const { chunks, strategy } = chunkDocument(pages, golden.chunking || {});
+
+    const embeddings = [];
+    for (const chunk of chunks) {
+        const cleaned = cleanText(chunk.text);
+        embeddings.push(cleaned ? await provider.embedOne(cleaned) : null);
+    }
+    const vectors = chunkVectors(chunks, embeddings, {
+        sessionId,
+        documentId: path.basename(golden.document),
+        source: path.basename(golden.document),
+        numPages,
+        unit,
+        format
+    });
+    await indexVectors({ vectorStore, lexicalIndex }, sessionId, vectors);
+    return { chunks: vectors.length, strategy };
+}
+
+// Scores one ranked list: recall@k over the expected passages, reciprocal
+// rank of the first relevant chunk, and whether an expected page shows up
+function scoreRanking(matches, question) {
+    const expected = question.expected_text.map(squash);
+    const pages = new Set(question.expected_pages || []);
+    const texts = matches.map(m => squash(m.metadata.text || ""));
+
+    const firstHit = texts.findIndex(text => expected.some(e => text.includes(e)));
+    const scores = { mrr: firstHit === -1 ? 0 : 1 / (firstHit + 1), first_hit: firstHit === -1 ? null : firstHit + 1 };
+    for (const k of K_VALUES) {
+        const top = texts.slice(0, k);
+        scores[`recall@${k}`] = expected.filter(e => top.some(text => text.includes(e))).length / expected.length;
+        scores[`page_hit@${k}`] = matches.slice(0, k).some(({ metadata }) => {
+            for (let page = metadata.page_start; page <= (metadata.page_end ?? metadata.page_start); page++) {
+                if (pages.has(page)) return true;
+            }
+            return false;
+        }) ? 1 : 0;
+    }
+    return scores;
+}
+
+async function answerQuestion(question, { vectorStore, lexicalIndex, provider, sessionId }) {
+    const candidates = await retrieve({
+        vectorStore,
+        lexicalIndex,
+        embed: text => provider.embedOne(text),
+        sessionId,
+        query: cleanText(question.question),
+        topK: Math.max(ANSWER_TOP_K * 4, 20),
+        filter: { session_id: sessionId }
+    });
+    const { chunks } = await assembleContext(candidates, {
+        topK: ANSWER_TOP_K,
+        fetchNeighbors: (selected, distance) => fetchNeighborChunks(vectorStore, sessionId, selected, distance)
+    });
+    const output = await provider.generate(buildAnswerPrompt(screenChunks(chunks).chunks, question.question), { task: "answer" });
+    const { answer } = resolveCitations(output, chunks);
+    return { answer, grounded: checkGrounding(answer, chunks).grounded };
+}
+
+// Checks the worksheet parser against the golden question list, using the
+// bundled text fixture so the result doesn't depend on PDF extraction
+async function scoreQuestionBank(golden) {
+    const text = await fs.readFile(path.join(SERVER_DIR, golden.text_fixture), "utf8");
+    const { questions } = parseQuestionBank(text.split("\f"));
+    const parsed = new Map(questions.map(q => [q.number, q]));
+    const misses = golden.question_bank.filter(expected => {
+        const q = parsed.get(expected.number);
+        return !q || q.section !== expected.section || q.type !== expected.type || q.options.length !== expected.options;
+    });
+    const extra = questions.filter(q => !golden.question_bank.some(expected => expected.number === q.number));
+    return {
+        accuracy: (golden.question_bank.length - misses.length) / golden.question_bank.length,
+        misses: misses.map(m => m.number),
+        extra: extra.map(q => q.number)
+    };
+}
+
+// Runs the text normalization fixtures: each case's display and search
+// forms, where given, must match exactly
+async function scoreNormalization() {
+    const { cases } = JSON.parse(await fs.readFile(NORMALIZATION_FIXTURES, "utf8"));
+    const failures = [];
+    for (const fixture of cases) {
+        const checks = [["display", normalizeText], ["search", toSearchText]];
+        for (const [field, normalize] of checks) {
+            if (fixture[field] === undefined) continue;
+            const actual = normalize(fixture.input);
+            if (actual !== fixture[field]) failures.push({ name: fixture.name, field, expected: fixture[field], actual });
+        }
+    }
+    return { passRate: (cases.length - new Set(failures.map(f => f.name)).size) / cases.length, cases: cases.length, failures };
+}
+
+// Runs the extraction fixtures: each case's input, uploaded under its file
+// name, must be detected as its type and extract to exactly its pages
+async function scoreExtraction() {
+    const { cases } = JSON.parse(await fs.readFile(EXTRACTION_FIXTURES, "utf8"));
+    const failures = [];
+    for (const fixture of cases) {
+        const data = Buffer.from(fixture.input, "utf8");
+        const type = detectFileType(data, fixture.fileName);
+        const { pages, unit } = type ? await extractDocument(type, data) : {};
+        const checks = [["type", type], ["unit", unit], ["pages", pages]];
+        for (const [field, actual] of checks) {
+            if (JSON.stringify(actual) !== JSON.stringify(fixture[field])) failures.push({ name: fixture.name, field, expected: fixture[field], actual });
+        }
+    }
+    return { passRate: (cases.length - new Set(failures.map(f => f.name)).size) / cases.length, cases: cases.length, failures };
+}
+
+// Runs the prompt-injection fixtures: each case's input must be flagged by
+// the screen exactly when `flagged` is true
+async function scoreInjection() {
+    const { cases } = JSON.parse(await fs.readFile(INJECTION_FIXTURES, "utf8"));
+    const failures = cases
+        .filter(fixture => looksLikeInjection(fixture.input) !== fixture.flagged)
+        .map(fixture => ({ name: fixture.name, field: "flagged", expected: fixture.flagged, actual: !fixture.flagged }));
+    return { passRate: (cases.length - failures.length) / cases.length, cases: cases.length, failures };
+}
+
+function formatTable(rows, columns) {
+    const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c]).length)));
+    const line = values => values.map((v, i) => String(v).padEnd(widths[i])).join("  ").trimEnd();
+    return [line(columns), ...rows.map(r => line(columns.map(c => r[c])))].join("\n");
+}
+
+// Metrics that fell more than TOLERANCE below the baseline or went missing,
+// and fixture suites with a failing case, as printable lines
+function findRegressions(metrics, baseline) {
+    const regressions = [];
+    for (const [key, before] of Object.entries(baseline || {})) {
+        const after = metrics[key];
+        if (after === undefined) regressions.push(`${key}: missing from this run`);
+        else if (after < before - TOLERANCE) regressions.push(`${key}: ${before.toFixed(3)} -> ${after.toFixed(3)}`);
+    }
+    for (const key of FIXTURE_METRICS) {
+        if (metrics[key] < 1 && !regressions.some(line => line.startsWith(`${key}:`))) {
+            regressions.push(`${key}: ${metrics[key].toFixed(3)}, every case must pass`);
+        }
+    }
+    return regressions;
+}
+
+function printBaselineDiff(metrics, baseline) {
+    const changed = [];
+    let unchanged = 0;
+    for (const key of new Set([...Object.keys(baseline), ...Object.keys(metrics)])) {
+        const before = baseline[key];
+        const after = metrics[key];
+        if (before === undefined || after === undefined) {
+            changed.push(`  ${key}: ${before ?? "-"} -> ${after ?? "-"}`);
+        } else if (Math.abs(after - before) > 1e-9) {
+            const delta = after - before;
+            changed.push(`  ${key}: ${before.toFixed(3)} -> ${after.toFixed(3)} (${delta > 0 ? "+" : ""}${delta.toFixed(3)})`);
+        } else {
+            unchanged++;
+        }
+    }
+    console.log(`\nDiff against baseline (${path.relative(SERVER_DIR, BASELINE_PATH)}):`);
+    if (changed.length) console.log(changed.join("\n"));
+    console.log(`  ${unchanged} metric${unchanged === 1 ? "" : "s"} unchanged`);
+}
+
+async function main() {
+    const goldenFiles = (await fs.readdir(GOLDEN_DIR)).filter(name => name.endsWith(".json")).sort();
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-qa-eval-"));
+    const provider = createStubProvider();
+    const vectorStore = createLocalVectorStore({ filePath: path.join(workDir, "vectors.json") });
+    const lexicalIndex = createLexicalIndex({ dir: path.join(workDir, "lexical") });
+
+    const perMode = Object.fromEntries(RETRIEVAL_MODES.map(mode => [mode, []]));
+    const answerScores = [];
+    const groundedScores = [];
+    const bankScores = [];
+
+    try {
+        for (const file of goldenFiles) {
+            const golden = JSON.parse(await fs.readFile(path.join(GOLDEN_DIR, file), "utf8"));
+            const sessionId = `eval_${path.basename(file, ".json")}`;
+            const ctx = { vectorStore, lexicalIndex, provider, sessionId };
+            const { chunks, strategy } = await ingest(golden, ctx);
+            console.log(`${file}: ${chunks} chunks (${strategy}), ${golden.questions.length} questions`);
+
+            for (const question of golden.questions) {
+                for (const mode of RETRIEVAL_MODES) {
+                    const matches = await retrieve({
+                        vectorStore,
+                        lexicalIndex,
+                        embed: text => provider.embedOne(text),
+                        sessionId,
+                        query: cleanText(question.question),
+                        topK: RETRIEVAL_DEPTH,
+                        mode,
+                        filter: { session_id: sessionId }
+                    });
+                    const scores = scoreRanking(matches, question);
+                    perMode[mode].push(scores);
+                    if (args.has("--verbose") && scores.first_hit !== 1) {
+                        console.log(`  [${mode}] ${question.id}: first relevant chunk at ${scores.first_hit ?? "none"}`);
+                    }
+                }
+
+                if (args.has("--answers") && question.answer_contains) {
+                    const { answer, grounded } = await answerQuestion(question, ctx);
+                    if (grounded !== null) groundedScores.push(grounded);
+                    const matched = question.answer_contains.every(expected => answer.toLowerCase().includes(expected.toLowerCase()));
+                    answerScores.push(matched ? 1 : 0);
+                    if (args.has("--verbose") && !matched) console.log(`  [answer] ${question.id}: ${answer}`);
+                }
+            }
+
+            if (golden.question_bank && golden.text_fixture) {
+                const bank = await scoreQuestionBank(golden);
+                bankScores.push(bank.accuracy);
+                if (bank.misses.length || bank.extra.length) {
+                    console.log(`  question bank: mismatched ${bank.misses.join(", ") || "none"}, unexpected ${bank.extra.join(", ") || "none"}`);
+                }
+            }
+        }
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    const columns = ["mode", ...K_VALUES.map(k => `recall@${k}`), "mrr", ...K_VALUES.map(k => `page_hit@${k}`)];
+    const metrics = {};
+    const rows = RETRIEVAL_MODES.map(mode => {
+        const row = { mode };
+        for (const column of columns.slice(1)) {
+            const value = mean(perMode[mode].map(scores => scores[column]));
+            metrics[`${mode}.${column}`] = value;
+            row[column] = value.toFixed(3);
+        }
+        return row;
+    });
+    console.log(`\nRetrieval (${perMode[RETRIEVAL_MODES[0]].length} questions, depth ${RETRIEVAL_DEPTH})`);
+    console.log(formatTable(rows, columns));
+
+    if (answerScores.length) {
+        metrics["answer.match"] = mean(answerScores);
+        console.log(`\nAnswer match: ${metrics["answer.match"].toFixed(3)} (${answerScores.length} questions)`);
+    }
+    if (groundedScores.length) {
+        metrics["answer.grounded"] = mean(groundedScores);
+        console.log(`Answer grounding: ${metrics["answer.grounded"].toFixed(3)} (${groundedScores.length} answers)`);
+    }
+    if (bankScores.length) {
+        metrics["question_bank.accuracy"] = mean(bankScores);
+        console.log(`Question bank accuracy: ${metrics["question_bank.accuracy"].toFixed(3)}`);
+    }
+
+    const normalization = await scoreNormalization();
+    metrics["normalization.pass_rate"] = normalization.passRate;
+    console.log(`Normalization fixtures: ${metrics["normalization.pass_rate"].toFixed(3)} (${normalization.cases} cases)`);
+    for (const failure of normalization.failures) {
+        console.log(`  ${failure.name} [${failure.field}]: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+    }
+
+    const extraction = await scoreExtraction();
+    metrics["extraction.pass_rate"] = extraction.passRate;
+    console.log(`Extraction fixtures: ${metrics["extraction.pass_rate"].toFixed(3)} (${extraction.cases} cases)`);
+    for (const failure of extraction.failures) {
+        console.log(`  ${failure.name} [${failure.field}]: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+    }
+
+    const injection = await scoreInjection();
+    metrics["injection.pass_rate"] = injection.passRate;
+    console.log(`Injection fixtures: ${metrics["injection.pass_rate"].toFixed(3)} (${injection.cases} cases)`);
+    for (const failure of injection.failures) {
+        console.log(`  ${failure.name} [${failure.field}]: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+    }
+
+    if (args.has("--update-baseline")) {
+        await fs.writeFile(BASELINE_PATH, JSON.stringify(metrics, null, 2) + "\n");
+        console.log(`\nBaseline written to ${path.relative(SERVER_DIR, BASELINE_PATH)}`);
+        reportRegressions(findRegressions(metrics, null));
+        return;
+    }
+
+    let baseline = null;
+    try {
+        baseline = JSON.parse(await fs.readFile(BASELINE_PATH, "utf8"));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    if (baseline) {
+        // Answer scores are only in the baseline when it was run with --answers
+        if (!args.has("--answers")) {
+            delete baseline["answer.match"];
+            delete baseline["answer.grounded"];
+        }
+        printBaselineDiff(metrics, baseline);
+    } else {
+        console.log("\nNo baseline yet; run with --update-baseline to store one.");
+    }
+    reportRegressions(findRegressions(metrics, baseline));
+}
+
+function reportRegressions(regressions) {
+    if (regressions.length === 0) return;
+    console.log(`\nFAILED: ${regressions.length} regression${regressions.length === 1 ? "" : "s"} (tolerance ${TOLERANCE})`);
+    console.log(regressions.map(line => `  ${line}`).join("\n"));
+    process.exitCode = 1;
+}
+
+main().catch(err => {
+    console.error("Evaluation failed:", err);
+    process.exit(1);
+});
@@ -1,281 +1,802 @@
 import express from "express";
 import multer from "multer";
-import pdfParse from "pdf-parse";
 import dotenv from "dotenv";
 import cors from "cors";
-import { Pinecone } from '@pinecone-database/pinecone';
 import { v4 as uuidv4 } from "uuid";
 import fs from "fs/promises";
 import path from "path";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { AsyncResource } from "async_hooks";
+import { createVectorStore } from "./lib/vectorstores/index.js";
+import { createModelProvider } from "./lib/providers/index.js";
+import { EXTRACTORS, PageLimitError, ZipLimitError, countPages, detectFileType, extractDocument } from "./lib/extractors/index.js";
+import { cleanText } from "./lib/text.js";
+import { countTokens, parseChunkingOption } from "./lib/chunking.js";
+import { chunkDocument, chunkVectors, fetchNeighborChunks, indexVectors } from "./lib/indexing.js";
+import { createLexicalIndex } from "./lib/lexical.js";
+import { retrieve, RETRIEVAL_MODES } from "./lib/retrieval.js";
+import { assembleContext, clampTopK } from "./lib/context.js";
+import { createJobQueue, publicJob, JobCancelledError } from "./lib/jobs.js";
+import { createEmbeddingCache, createExtractionCache, createSummaryCache, sha256 } from "./lib/cache.js";
+import { buildAnswerPrompt, resolveCitations } from "./lib/citations.js";
+import { checkGrounding, filterByRelevance, screenChunks } from "./lib/grounding.js";
+import { createDocumentStore, removeOrphanUploads } from "./lib/documents.js";
+import { parseQuestionBank, questionBankRows } from "./lib/worksheet.js";
+import { SUMMARY_MODES, summarizeChunks } from "./lib/summarize.js";
+import { MAX_QUIZ_QUESTIONS, QUIZ_TYPES, generateQuiz, gradeQuiz } from "./lib/quiz.js";
+import { createQuizStore } from "./lib/quizzes.js";
+import { EXTRACTION_MODES, ExtractionError, checkSchema, extractWithSchema, extractionRows, toCsv } from "./lib/extraction.js";
+import { normalizeHistory, buildRewritePrompt, pickRewrittenQuestion } from "./lib/conversation.js";
+import { checkCredentials, createTokenSigner, createUserStore, loadOrCreateSecret, publicUser } from "./lib/auth.js";
+import { createSessionStore } from "./lib/sessions.js";
+import { createRateLimiter, createUsageTracker, secondsUntilReset } from "./lib/limits.js";
+import { currentTimings, logger, recordTiming, withLogContext } from "./lib/logger.js";
+import { createMetrics } from "./lib/metrics.js";
 
 dotenv.config();
 
+// Prometheus metrics, served at GET /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter({ name: "http_requests_total", help: "HTTP requests by method, route and status code", labelNames: ["method", "route", "status"] });
+const httpErrors = metrics.counter({ name: "http_request_errors_total", help: "HTTP requests that ended in a server error (5xx)", labelNames: ["method", "route"] });
+const httpDuration = metrics.histogram({ name: "http_request_duration_seconds", help: "HTTP request latency in seconds", labelNames: ["method", "route"] });
+const stageDuration = metrics.histogram({ name: "stage_duration_seconds", help: "Latency of the parse, chunk, embed, upsert, query and generate stages in seconds", labelNames: ["stage", "outcome"] });
+const embeddedChunks = metrics.counter({ name: "embedded_chunks_total", help: "Chunks embedded by the model provider" });
+const cachedEmbeddings = metrics.counter({ name: "embedding_cache_hits_total", help: "Chunks whose embedding was reused from the cache" });
+const failedEmbeddings = metrics.counter({ name: "failed_embeddings_total", help: "Chunks the model provider could not embed" });
+const notFoundAnswers = metrics.counter({ name: "not_found_answers_total", help: "Questions answered as not found without calling the model, by reason", labelNames: ["reason"] });
+const injectionFlags = metrics.counter({ name: "prompt_injection_flags_total", help: "Context passages with text removed as a likely prompt injection" });
+const ungroundedSentences = metrics.counter({ name: "ungrounded_sentences_total", help: "Answer sentences the grounding check found unsupported by the context" });
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Gives each request a correlation ID, taken from a well-formed X-Request-Id
+// header or generated, and returns it in the X-Request-Id response header.
+// Log lines written while handling the request carry it as `request_id`.
+// When the response ends the request is logged with its stage timings and
+// counted in the HTTP metrics (status 499 when the client went away first).
+function traceRequest(req, res, next) {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    res.set("X-Request-Id", req.id);
+    const start = process.hrtime.bigint();
+
+    withLogContext({ request_id: req.id }, () => {
+        res.on("close", AsyncResource.bind(() => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+            const status = res.writableFinished ? res.statusCode : 499;
+            httpRequests.inc({ method: req.method, route, status });
+            httpDuration.observe({ method: req.method, route }, seconds);
+            if (status >= 500) httpErrors.inc({ method: req.method, route });
+            logger[route === "/metrics" ? "debug" : "info"]("Request finished", {
+                method: req.method,
+                route,
+                path: req.path,
+                status,
+                duration_ms: Math.round(seconds * 1000),
+                timings_ms: currentTimings(),
+                user_id: req.user?.id
+            });
+        }));
+        next();
+    });
+}
+
+// Times one stage of a request or ingestion job. The duration goes into the
+// stage latency histogram and the request's or job's timings, and is logged
+// at debug level.
+async function span(stage, fn, fields = {}) {
+    const start = process.hrtime.bigint();
+    let outcome = "ok";
+    try {
+        return await fn();
+    } catch (err) {
+        outcome = "error";
+        throw err;
+    } finally {
+        const ms = Number(process.hrtime.bigint() - start) / 1e6;
+        stageDuration.observe({ stage, outcome }, ms / 1000);
+        recordTiming(stage, ms);
+        logger.debug("Span finished", { span: stage, outcome, duration_ms: Math.round(ms), ...fields });
+    }
+}
+
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: "1mb" }));
+// After body parsing, whose stream callbacks would lose the request's log context
+app.use(traceRequest);
 
 const PORT = process.env.PORT || 4000;
-const SERVER_API_KEY = process.env.SERVER_API_KEY || "dev_token";
+const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
 
-// API key middleware
-function requireApiKey(req, res, next) {
-    const key = req.headers["x-api-key"] || req.headers["authorization"];
-    if (!key) return res.status(401).json({ error: "Missing API key" });
-    const token = key.startsWith("Bearer ") ? key.split(" ")[1] : key;
-    if (token !== SERVER_API_KEY) return res.status(403).json({ error: "Invalid API key" });
-    next();
+// User accounts and signed login tokens. The signing secret comes from
+// AUTH_SECRET, or is generated once and kept in DATA_DIR.
+const users = createUserStore({ filePath: path.join(DATA_DIR, "users.json") });
+const tokens = createTokenSigner({
+    secret: process.env.AUTH_SECRET || await loadOrCreateSecret(path.join(DATA_DIR, "auth-secret")),
+    ttlSeconds: (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 24) * 3600
+});
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== "false";
+
+// Sessions (owner, title) and their saved conversations
+const sessionStore = createSessionStore({
+    filePath: path.join(DATA_DIR, "sessions.json"),
+    messagesDir: path.join(DATA_DIR, "conversations")
+});
+
+// Bearer token middleware; sets req.user for the routes behind it
+async function requireAuth(req, res, next) {
+    const header = req.headers["authorization"] || "";
+    if (!header.startsWith("Bearer ")) return res.status(401).json({ error: "Missing access token" });
+    const claims = tokens.verify(header.slice(7).trim());
+    if (!claims) return res.status(401).json({ error: "Invalid or expired access token" });
+    try {
+        const user = await users.get(claims.sub);
+        if (!user) return res.status(401).json({ error: "Account no longer exists" });
+        req.user = user;
+        next();
+    } catch (err) {
+        logger.error("Error in requireAuth", { err });
+        res.status(500).json({ error: "Could not verify access token" });
+    }
 }
 
-// Multer for file uploads
-const upload = multer({ dest: "uploads/" });
+// Rejects requests for a session (from the URL or JSON body) that does not
+// exist or is not the user's, including sessions without an owner, and
+// records the access for session expiry
+async function requireSessionAccess(req, res, next) {
+    const sessionId = req.params.sessionId ?? req.body?.sessionId;
+    try {
+        if (sessionId && !(await sessionStore.canAccess(sessionId, req.user.id))) {
+            if (!(await sessionStore.get(sessionId))) {
+                return res.status(404).json({ error: "Session not found" });
+            }
+            return res.status(403).json({ error: "You do not have access to this session" });
+        }
+        if (sessionId) await sessionStore.touch(sessionId);
+        next();
+    } catch (err) {
+        logger.error("Error in requireSessionAccess", { err });
+        res.status(500).json({ error: "Could not check session access" });
+    }
+}
 
-// Initialize Google Generative AI clients
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-const geminiEmbeddingModel = genAI.getGenerativeModel({
-    model: process.env.GEMINI_EMBEDDING_MODEL || "text-embedding-004",
-});
-const geminiChatModel = genAI.getGenerativeModel({
-    model: process.env.GEMINI_CHAT_MODEL || "gemini-1.5-flash",
-});
+// Claims the session named in the JSON body for the user if nobody has it
+// yet, for routes that can start a session. Runs before
+// requireSessionAccess, which still refuses other users' sessions.
+async function claimSession(req, res, next) {
+    const sessionId = req.body?.sessionId;
+    try {
+        if (typeof sessionId === "string" && sessionId) await sessionStore.claim(sessionId, req.user.id);
+        next();
+    } catch (err) {
+        logger.error("Error in claimSession", { err });
+        res.status(500).json({ error: "Could not check session access" });
+    }
+}
+
+// Helper function to read a numeric limit where 0 means "no limit"
+function limitFromEnv(name, fallback) {
+    const value = process.env[name];
+    return value === undefined || value === "" ? fallback : Number(value);
+}
 
-// Initialize Pinecone client
-const pc = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY
+// Upload limits, per-user rate limits and daily model quotas
+const MAX_UPLOAD_MB = limitFromEnv("MAX_UPLOAD_MB", 10);
+const MAX_UPLOAD_BYTES = Math.floor(MAX_UPLOAD_MB * 1024 * 1024);
+const MAX_UPLOAD_PAGES = limitFromEnv("MAX_UPLOAD_PAGES", 300);
+const ASK_RATE_LIMIT = limitFromEnv("RATE_LIMIT_ASK_PER_MINUTE", 20);
+const RATE_LIMITS = {
+    ask: ASK_RATE_LIMIT,
+    extract: ASK_RATE_LIMIT,
+    summarize: ASK_RATE_LIMIT,
+    quiz: ASK_RATE_LIMIT,
+    upload: limitFromEnv("RATE_LIMIT_UPLOAD_PER_MINUTE", 6),
+    auth: limitFromEnv("RATE_LIMIT_AUTH_PER_MINUTE", 10)
+};
+const rateLimiters = Object.fromEntries(Object.entries(RATE_LIMITS)
+    .map(([route, perMinute]) => [route, createRateLimiter({ perMinute })]));
+const usageTracker = createUsageTracker({
+    filePath: path.join(DATA_DIR, "usage.json"),
+    limits: {
+        embedding_tokens: limitFromEnv("DAILY_EMBEDDING_TOKENS", 1000000),
+        generations: limitFromEnv("DAILY_GENERATIONS", 500)
+    }
 });
-const index = pc.index(process.env.PINECONE_INDEX || 'pdf-qa');
-
-// Helper function to clean and validate text
-function cleanText(text) {
-    if (!text || typeof text !== 'string') return '';
-    
-    // Remove or replace problematic characters
-    let cleaned = text
-        // Replace common mathematical symbols with text equivalents
-        .replace(/Â°/g, ' degrees ')
-        .replace(/âˆ /g, 'angle ')
-        .replace(/âˆ†/g, 'triangle ')
-        .replace(/Ï€/g, 'pi ')
-        .replace(/âˆš/g, 'sqrt ')
-        // Remove other special Unicode characters that might cause issues
-        .replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ') // Remove control characters
-        .replace(/[\u2000-\u206F]/g, ' ') // Remove general punctuation
-        .replace(/[\u2070-\u209F]/g, ' ') // Remove superscripts/subscripts
-        .replace(/[\u20A0-\u20CF]/g, ' ') // Remove currency symbols
-        .replace(/[\u2100-\u214F]/g, ' ') // Remove letterlike symbols
-        // Normalize whitespace
-        .replace(/\s+/g, ' ')
-        .trim();
-    
-    // Additional validation
-    if (cleaned.length < 10) return ''; // Too short to be meaningful
-    if (cleaned.length > 8000) return cleaned.substring(0, 8000); // Prevent overly long chunks
-    
-    return cleaned;
-}
-
-// Helper function to chunk text
-function chunkText(text, maxLen = 1000) {
-    const chunks = [];
-    let i = 0;
-    while (i < text.length) {
-        const chunk = text.slice(i, i + maxLen);
-        const cleanedChunk = cleanText(chunk);
-        if (cleanedChunk) { // Only add if chunk is valid after cleaning
-            chunks.push(cleanedChunk);
-        }
-        i += maxLen - 200; // 200-character overlap
-    }
-    return chunks;
-}
-
-// Helper function to create embeddings with better error handling
-async function embedTexts(texts) {
+
+// Limit errors share one shape: a message, a machine-readable `code`, the
+// `limit` that was hit and, for 429s, `retry_after` seconds (also sent as a
+// Retry-After header)
+function sendLimitError(res, status, { retryAfter, ...body }) {
+    if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        body.retry_after = retryAfter;
+    }
+    res.status(status).json(body);
+}
+
+// Token-bucket rate limit for one route, per user (or per client IP for
+// routes used before signing in)
+function rateLimit(route) {
+    return (req, res, next) => {
+        const retryAfter = rateLimiters[route].take(req.user ? req.user.id : req.ip);
+        if (retryAfter) {
+            return sendLimitError(res, 429, {
+                error: `Too many requests. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`,
+                code: "rate_limited",
+                limit: RATE_LIMITS[route],
+                retryAfter
+            });
+        }
+        next();
+    };
+}
+
+// Rejects the request when the user has used up a daily quota it needs
+function requireQuota(...kinds) {
+    return async (req, res, next) => {
+        try {
+            const exceeded = await usageTracker.exceeded(req.user.id, kinds);
+            if (exceeded) {
+                const what = exceeded.kind === "generations" ? "model answers" : "embedding tokens";
+                return sendLimitError(res, 429, {
+                    error: `Daily quota of ${exceeded.limit} ${what} used up. It resets at midnight UTC.`,
+                    code: "quota_exceeded",
+                    quota: exceeded.kind,
+                    limit: exceeded.limit,
+                    retryAfter: secondsUntilReset()
+                });
+            }
+            next();
+        } catch (err) {
+            logger.error("Error in requireQuota", { err });
+            res.status(500).json({ error: "Could not check usage quota" });
+        }
+    };
+}
+
+// Session expiry and the sweeper that enforces it. The sweeper also removes
+// uploads orphaned by failed requests.
+const SESSION_TTL_HOURS = limitFromEnv("SESSION_TTL_HOURS", 168);
+const SWEEP_INTERVAL_MINUTES = limitFromEnv("SWEEP_INTERVAL_MINUTES", 60);
+const ORPHAN_UPLOAD_MINUTES = limitFromEnv("ORPHAN_UPLOAD_MINUTES", 60);
+
+// Multer for file uploads
+const UPLOAD_DIR = path.resolve("uploads");
+const upload = multer({ dest: UPLOAD_DIR, limits: MAX_UPLOAD_BYTES ? { fileSize: MAX_UPLOAD_BYTES } : {} });
+
+// Uploaded temp files waiting for their ingestion job, by path
+const pendingUploads = new Map();
+
+// Receives the uploaded "file" field, answering 413 when it is over the size
+// or page limit (or is an archive over the ZIP limits) and 415 when its
+// content is not a supported document type. The
+// detected type is set as req.fileType. The callback is bound so the rest of
+// the request keeps its log context.
+function receiveUpload(req, res, next) {
+    upload.single("file")(req, res, AsyncResource.bind(async err => {
+        if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+            return sendLimitError(res, 413, {
+                error: `File is larger than the ${MAX_UPLOAD_MB} MB upload limit.`,
+                code: "file_too_large",
+                limit: MAX_UPLOAD_BYTES
+            });
+        }
+        if (err) {
+            logger.error("Error receiving upload", { err });
+            return res.status(400).json({ error: err.message });
+        }
+        try {
+            if (req.file) {
+                const data = await fs.readFile(req.file.path);
+                req.fileType = detectFileType(data, req.file.originalname);
+                if (!req.fileType) {
+                    await fs.unlink(path.resolve(req.file.path));
+                    return sendLimitError(res, 415, {
+                        error: "Unsupported file type. Upload a PDF, Word (.docx), Markdown, HTML or plain-text file.",
+                        code: "unsupported_media_type"
+                    });
+                }
+                const pages = MAX_UPLOAD_PAGES ? await countPages(req.fileType, data) : null;
+                if (pages > MAX_UPLOAD_PAGES) {
+                    await fs.unlink(path.resolve(req.file.path));
+                    return sendLimitError(res, 413, {
+                        error: `Document has ${pages} pages; the limit is ${MAX_UPLOAD_PAGES}.`,
+                        code: "too_many_pages",
+                        limit: MAX_UPLOAD_PAGES
+                    });
+                }
+            }
+            next();
+        } catch (checkError) {
+            if (checkError instanceof ZipLimitError) {
+                await fs.unlink(path.resolve(req.file.path)).catch(() => {});
+                return sendLimitError(res, 413, { error: checkError.message, code: "archive_too_large" });
+            }
+            logger.error("Error checking upload", { err: checkError });
+            res.status(500).json({ error: "Could not read the uploaded file" });
+        }
+    }));
+}
+
+// Model calls made on a user's behalf, counted against their daily quotas.
+// `task` names what the prompt asks for (see lib/providers/index.js).
+async function generateFor(user, prompt, task) {
+    await usageTracker.record(user.id, "generations", 1);
+    return span("generate", () => modelProvider.generate(prompt, { task }), { task });
+}
+
+async function embedFor(user, text) {
+    await usageTracker.record(user.id, "embedding_tokens", countTokens(text));
+    return span("embed", () => modelProvider.embedOne(text));
+}
+
+// Initialize the embedding/chat model provider (Gemini, OpenAI-compatible or stub)
+const modelProvider = createModelProvider();
+logger.info("Using model provider", { provider: modelProvider.name, embedding_model: modelProvider.embeddingModel, chat_model: modelProvider.chatModel });
+
+// Initialize the vector store (Pinecone or local, chosen by VECTOR_STORE)
+const vectorStore = createVectorStore();
+logger.info("Using vector store", { store: vectorStore.name });
+
+// Per-session BM25 index used for keyword and hybrid retrieval
+const lexicalIndex = createLexicalIndex({ dir: path.join(DATA_DIR, "lexical") });
+const DEFAULT_RETRIEVAL_MODE = process.env.RETRIEVAL_MODE || "hybrid";
+
+// On-disk caches so re-uploaded documents skip parsing and embedding
+const embeddingCache = createEmbeddingCache({ dir: path.join(DATA_DIR, "embeddings") });
+const extractionCache = createExtractionCache({ dir: path.join(DATA_DIR, "extractions") });
+const summaryCache = createSummaryCache({ dir: path.join(DATA_DIR, "summaries") });
+
+// Original uploads, kept while their session holds the document
+const documentStore = createDocumentStore({ dir: path.join(DATA_DIR, "documents") });
+
+// Structured extraction limits
+const EXTRACT_MAX_CHARS = Number(process.env.EXTRACT_MAX_CHARS) || 24000;
+const EXTRACT_MAX_ATTEMPTS = Number(process.env.EXTRACT_MAX_ATTEMPTS) || 3;
+
+// Practice quizzes and their graded attempts, kept per session
+const quizStore = createQuizStore({ dir: path.join(DATA_DIR, "quizzes") });
+const QUIZ_CONTEXT_TOKENS = Number(process.env.QUIZ_CONTEXT_TOKENS) || 3000;
+
+// Background queue for document ingestion
+const ingestJobs = createJobQueue({ concurrency: Number(process.env.INGEST_CONCURRENCY) || 1 });
+
+// Helper function to create embeddings with better error handling.
+// Returns { embeddings, skipped, reused } where embeddings[i] belongs to
+// texts[i] (null for texts that were empty after cleaning or failed to embed)
+// and `reused` counts vectors served from the embedding cache.
+async function embedTexts(texts, { signal, onProgress, userId } = {}) {
     try {
-        // Filter and clean texts before sending to API
-        const cleanedTexts = texts
-            .map(text => cleanText(text))
-            .filter(text => text.length > 0);
+        // Clean texts before sending to API, remembering which ones survive
+        const cleanedTexts = texts.map(text => cleanText(text));
+        const validIndexes = cleanedTexts
+            .map((text, i) => (text.length > 0 ? i : -1))
+            .filter(i => i !== -1);
 
-        if (cleanedTexts.length === 0) {
+        if (validIndexes.length === 0) {
             throw new Error("No valid text chunks after cleaning");
         }
 
-        console.log(`[DEBUG] Sending ${cleanedTexts.length} cleaned chunks to embedding API`);
+        // Reuse cached vectors for chunks this model has embedded before
+        const modelKey = `${modelProvider.name}:${modelProvider.embeddingModel}`;
+        const embeddings = new Array(texts.length).fill(null);
+        const cached = await embeddingCache.getMany(modelKey, validIndexes.map(index => cleanedTexts[index]));
+        const pendingIndexes = [];
+        validIndexes.forEach((index, j) => {
+            if (cached[j]) embeddings[index] = cached[j];
+            else pendingIndexes.push(index);
+        });
+        const reused = validIndexes.length - pendingIndexes.length;
+
+        cachedEmbeddings.inc({}, reused);
+        logger.debug("Embedding chunks", { reused, pending: pendingIndexes.length });
+        onProgress?.(reused, validIndexes.length);
         
         // Process in smaller batches to avoid API limits
         const batchSize = 10; // Reduce batch size for stability
-        const allEmbeddings = [];
         
-        for (let i = 0; i < cleanedTexts.length; i += batchSize) {
-            const batch = cleanedTexts.slice(i, i + batchSize);
-            console.log(`[DEBUG] Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(cleanedTexts.length/batchSize)}`);
+        for (let i = 0; i < pendingIndexes.length; i += batchSize) {
+            if (signal?.aborted) throw new JobCancelledError();
+
+            const batchIndexes = pendingIndexes.slice(i, i + batchSize);
+            const batch = batchIndexes.map(index => cleanedTexts[index]);
+            logger.debug("Embedding batch", { batch: Math.floor(i/batchSize) + 1, batches: Math.ceil(pendingIndexes.length/batchSize) });
             
             try {
-                const requests = batch.map(text => ({
-                    content: {
-                        parts: [{ text: text }]
-                    }
-                }));
-                
-                const result = await geminiEmbeddingModel.batchEmbedContents({ requests });
-                
-                if (result.embeddings && result.embeddings.length > 0) {
-                    const embeddings = result.embeddings.map(e => e.values);
-                    allEmbeddings.push(...embeddings);
-                } else {
-                    console.warn(`[WARNING] No embeddings returned for batch starting at index ${i}`);
+                const vectors = await span("embed", () => modelProvider.embed(batch), { texts: batch.length });
+                if (vectors.length !== batch.length) {
+                    throw new Error(`Expected ${batch.length} embeddings, got ${vectors.length}`);
                 }
+                vectors.forEach((vector, j) => { embeddings[batchIndexes[j]] = vector; });
             } catch (batchError) {
-                console.error(`[ERROR] Failed to process batch starting at index ${i}:`, batchError.message);
+                logger.warn("Embedding batch failed, retrying its texts one by one", { start_index: i, err: batchError });
                 // Try processing each text individually in this batch
-                for (const text of batch) {
+                for (const index of batchIndexes) {
                     try {
-                        const singleResult = await geminiEmbeddingModel.embedContent(text);
-                        allEmbeddings.push(singleResult.embedding.values);
+                        embeddings[index] = await span("embed", () => modelProvider.embedOne(cleanedTexts[index]), { texts: 1 });
                     } catch (singleError) {
-                        console.error(`[ERROR] Failed to embed individual text: "${text.substring(0, 100)}..."`);
-                        console.error(`[ERROR] Single embedding error:`, singleError.message);
+                        failedEmbeddings.inc();
+                        logger.warn("Could not embed text, skipping it", { preview: cleanedTexts[index].substring(0, 100), err: singleError });
                         // Skip this problematic text
                     }
                 }
             }
+
+            const embeddedIndexes = batchIndexes.filter(index => embeddings[index]);
+            embeddedChunks.inc({}, embeddedIndexes.length);
+            await embeddingCache.setMany(modelKey, embeddedIndexes
+                .map(index => ({ text: cleanedTexts[index], vector: embeddings[index] })));
+            if (userId) {
+                await usageTracker.record(userId, "embedding_tokens", embeddedIndexes.reduce((sum, index) => sum + countTokens(cleanedTexts[index]), 0));
+            }
+            onProgress?.(reused + Math.min(i + batchSize, pendingIndexes.length), validIndexes.length);
             
             // Add a small delay between batches to be respectful to the API
-            if (i + batchSize < cleanedTexts.length) {
+            if (i + batchSize < pendingIndexes.length) {
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
         }
         
-        console.log(`[DEBUG] Successfully created ${allEmbeddings.length} embeddings from ${cleanedTexts.length} texts`);
-        return allEmbeddings;
+        const skipped = embeddings.filter(embedding => !embedding).length;
+        logger.debug("Embeddings created", { embedded: texts.length - skipped, texts: texts.length, dimension: modelProvider.dimension });
+        return { embeddings, skipped, reused };
         
     } catch (error) {
-        console.error("Error during embedding:", error);
-        if (error.errorDetails) {
-            console.error("Error details:", JSON.stringify(error.errorDetails, null, 2));
-        }
+        if (error instanceof JobCancelledError) throw error;
+        logger.error("Error during embedding", { err: error });
         throw error;
     }
 }
 
-// Helper function to delete session vectors
+// Helper function to delete a session's documents: vectors, keyword index and
+// stored files. Ingestion still running for the session is cancelled.
+// Registered documents are deleted by vector ID, older sessions by filter.
+// The registry is only emptied once every store has been cleared, so a
+// failed delete leaves the vector IDs recorded for a retry.
 async function deleteSessionVectors(sessionId) {
     try {
-        console.log(`[DEBUG] Attempting to delete vectors for session: ${sessionId}`);
-        
-        // Query to find all vectors for this session
-        const queryResponse = await index.query({
-            vector: new Array(768).fill(0), // Dummy vector for querying
-            topK: 10000, // Large number to get all vectors
-            includeMetadata: true,
-            filter: { session_id: sessionId }
-        });
-        
-        if (queryResponse.matches && queryResponse.matches.length > 0) {
-            const vectorIds = queryResponse.matches.map(match => match.id);
-            console.log(`[DEBUG] Found ${vectorIds.length} vectors to delete for session ${sessionId}`);
-            
-            // Delete vectors in batches
-            const batchSize = 1000;
-            for (let i = 0; i < vectorIds.length; i += batchSize) {
-                const batch = vectorIds.slice(i, i + batchSize);
-                await index.deleteMany(batch);
-                console.log(`[DEBUG] Deleted batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(vectorIds.length/batchSize)}`);
-            }
-            
-            console.log(`[DEBUG] Successfully deleted ${vectorIds.length} vectors for session ${sessionId}`);
-        } else {
-            console.log(`[DEBUG] No vectors found for session ${sessionId}`);
+        for (const job of ingestJobs.active()) {
+            if (job.session_id === sessionId) ingestJobs.cancel(job.id);
         }
+        const documents = (await sessionStore.get(sessionId))?.documents;
+        const deleted = documents
+            ? await vectorStore.delete(documents.flatMap(doc => doc.vector_ids))
+            : await vectorStore.deleteByFilter({ session_id: sessionId });
+        await lexicalIndex.removeSession(sessionId);
+        await documentStore.removeSession(sessionId);
+        await quizStore.removeSession(sessionId);
+        await sessionStore.clearDocuments(sessionId);
+        logger.debug("Deleted session vectors", { session_id: sessionId, deleted });
     } catch (error) {
-        console.error(`[ERROR] Failed to delete session vectors:`, error);
-        // Don't throw the error - we'll proceed with the upload even if cleanup fails
+        logger.error("Failed to delete session vectors", { session_id: sessionId, err: error });
+        throw error;
     }
 }
 
-// --- API ROUTES ---
+// Helper function to read a session's document registry. Sessions indexed
+// before the registry existed are read from the vector store and registered.
+async function sessionDocuments(sessionId) {
+    const session = await sessionStore.get(sessionId);
+    if (session?.documents) return session.documents;
+    const documents = groupDocuments(await vectorStore.listBySession(sessionId));
+    if (session) await sessionStore.setDocuments(sessionId, documents);
+    return documents;
+}
 
-// Route for uploading and processing a PDF
-app.post("/api/upload", requireApiKey, upload.single("file"), async (req, res) => {
-    console.log("\n--- New PDF Upload Request Received ---");
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: "No file uploaded" });
-        }
+// Helper function to summarize the documents stored in a session
+async function listSessionDocuments(sessionId) {
+    return (await sessionDocuments(sessionId)).map(({ vector_ids, ...document }) => document);
+}
 
-        const sessionId = req.body.sessionId;
-        if (!sessionId) {
-            return res.status(400).json({ error: "Missing session ID" });
+// Helper function to group a session's vector records into documents
+function groupDocuments(records) {
+    const documents = new Map();
+    for (const { id: vectorId, metadata } of records) {
+        const id = metadata.document_id;
+        if (!documents.has(id)) {
+            documents.set(id, {
+                document_id: id,
+                name: metadata.source,
+                format: metadata.format ?? "pdf",
+                pages: metadata.page_count,
+                page_unit: metadata.page_unit ?? "page",
+                fingerprint: metadata.content_hash,
+                uploaded_at: metadata.uploaded_at,
+                chunks: 0,
+                vector_ids: []
+            });
         }
+        documents.get(id).chunks++;
+        documents.get(id).vector_ids.push(vectorId);
+    }
+    return [...documents.values()].sort((a, b) => (a.uploaded_at || "").localeCompare(b.uploaded_at || ""));
+}
 
-        console.log(`[DEBUG] Processing upload for session: ${sessionId}`);
+// --- API ROUTES ---
 
-        // Clean up existing vectors for this session first
-        await deleteSessionVectors(sessionId);
+// Helper function to remove one document's vectors, keyword entries and
+// stored file. Unregistered documents (older sessions, or ingestion that did
+// not finish) are found by filter. The registry entry is only removed once
+// every store has been cleared, so a failed delete leaves its vector IDs
+// recorded for a retry. Resolves to the number of chunks deleted, or null if
+// the session has no such document.
+async function deleteDocumentVectors(sessionId, documentId) {
+    const document = (await sessionStore.get(sessionId))?.documents?.find(doc => doc.document_id === documentId);
+    const deleted = document
+        ? await vectorStore.delete(document.vector_ids)
+        : await vectorStore.deleteByFilter({ session_id: sessionId, document_id: documentId });
+    await lexicalIndex.deleteByFilter(sessionId, { document_id: documentId });
+    await documentStore.remove(sessionId, documentId, EXTRACTORS[document?.format ?? "pdf"].extension);
+    await sessionStore.removeDocument(sessionId, documentId);
+    return !document && deleted === 0 ? null : deleted;
+}
 
-        const filePath = path.resolve(req.file.path);
+// Helper function that parses, chunks, embeds and indexes an uploaded
+// document of any supported type. Runs as a background job, reporting its
+// stage and progress through `job`.
+async function ingestDocument(job, { filePath, originalName, fileType, sessionId, documentId, chunkingOptions, userId }) {
+    let fileKept = false;
+    try {
+        job.update({ stage: "parsing", progress: 5 });
         const data = await fs.readFile(filePath);
-        const pdfData = await pdfParse(data);
-        const text = pdfData.text || "";
 
-        if (!text.trim()) {
-            await fs.unlink(filePath);
-            return res.status(400).json({ error: "PDF contains no readable text content." });
+        // Known documents (same SHA-256) reuse their extracted text
+        const fingerprint = sha256(data);
+        // Entries cached before other formats were supported are PDFs
+        let extraction = await extractionCache.get(fingerprint);
+        if (extraction && (extraction.type ?? "pdf") !== fileType) extraction = null;
+        const cacheHit = Boolean(extraction);
+        if (!extraction) {
+            // Paginated documents over the page limit are rejected as soon as
+            // their page count is known, before their text is extracted
+            extraction = await span("parse", () => extractDocument(fileType, data, { maxPages: MAX_UPLOAD_PAGES }), { bytes: data.length, format: fileType });
+            extraction = { ...extraction, type: fileType };
+            await extractionCache.set(fingerprint, extraction);
+        }
+        const { pages, numPages, unit = "page" } = extraction;
+        // Cached extractions may predate a lower limit
+        if (MAX_UPLOAD_PAGES && unit === "page" && numPages > MAX_UPLOAD_PAGES) {
+            throw new PageLimitError(numPages, MAX_UPLOAD_PAGES);
         }
+        job.update({ fingerprint, cache_hit: cacheHit });
+        logger.debug("Document fingerprinted", { fingerprint, cache_hit: cacheHit });
 
-        console.log(`[DEBUG] Extracted text length: ${text.length} characters`);
-        
-        const chunks = chunkText(text, 1000);
-        
-        console.log(`[DEBUG] Total chunks created: ${chunks.length}`);
+        if (!pages.some(page => page.trim())) {
+            throw new Error("Document contains no readable text content.");
+        }
+
+        logger.debug("Extracted text", { pages: numPages, characters: pages.reduce((sum, p) => sum + p.length, 0) });
+        job.throwIfCancelled();
+        job.update({ stage: "chunking", progress: 10, pages: numPages });
         
-        const validChunks = chunks.filter(chunk => chunk && chunk.trim() !== "");
+        const { chunks: validChunks, total, strategy, chunkSize, overlap } = await span("chunk", () => chunkDocument(pages, chunkingOptions));
         
-        console.log(`[DEBUG] Valid chunks after filtering: ${validChunks.length}`);
+        logger.debug("Chunked document", { chunks: total, valid_chunks: validChunks.length, strategy, chunk_size: chunkSize, overlap });
         
         if (validChunks.length === 0) {
-            await fs.unlink(filePath);
-            console.log("[ERROR] No valid text chunks found after cleaning.");
-            return res.status(400).json({ error: "PDF contains no processable text content after cleaning." });
+            throw new Error("Document contains no processable text content after cleaning.");
         }
         
-        console.log("Attempting to create embeddings for valid chunks...");
-        const embeddings = await embedTexts(validChunks);
-        console.log("Embeddings created successfully.");
-
-        // Ensure we have the same number of embeddings and chunks
-        const minLength = Math.min(embeddings.length, validChunks.length);
-        const vectors = embeddings.slice(0, minLength).map((emb, i) => ({
-            id: `${sessionId}_${i}`, // Include session ID in vector ID
-            values: emb,
-            metadata: {
-                text: validChunks[i],
-                source: req.file.originalname,
-                chunk_index: i,
-                session_id: sessionId, // Add session ID to metadata for filtering
-                uploaded_at: new Date().toISOString()
-            },
-        }));
+        job.update({ stage: "embedding", progress: 15, total_chunks: validChunks.length, embedded_chunks: 0 });
+        const { embeddings, skipped, reused } = await embedTexts(validChunks.map(chunk => chunk.text), {
+            signal: job.signal,
+            userId,
+            onProgress: (done, total) => job.update({
+                progress: 15 + Math.round(75 * done / total),
+                embedded_chunks: done
+            })
+        });
+        job.update({ skipped_chunks: skipped, reused_chunks: reused });
+        job.throwIfCancelled();
+
+        const uploadedAt = new Date().toISOString();
+        const vectors = chunkVectors(validChunks, embeddings, {
+            sessionId,
+            documentId,
+            source: originalName,
+            numPages,
+            unit,
+            format: fileType,
+            fingerprint,
+            uploadedAt
+        });
 
-        console.log(`Upserting ${vectors.length} vectors to Pinecone...`);
-        const batchSize = 100;
-        for (let i = 0; i < vectors.length; i += batchSize) {
-            const batch = vectors.slice(i, i + batchSize);
-            await index.upsert(batch);
+        if (vectors.length === 0) {
+            throw new Error("None of the document's chunks could be embedded.");
         }
-        console.log("Upsert to Pinecone complete.");
 
-        await fs.unlink(filePath);
-        res.json({ ok: true, uploaded_chunks: vectors.length, session_id: sessionId });
+        job.update({ stage: "indexing", progress: 90 });
+        await span("upsert", () => indexVectors({ vectorStore, lexicalIndex }, sessionId, vectors), { vectors: vectors.length });
+
+        // Keep the original so clients can display it alongside answers
+        await documentStore.save(sessionId, documentId, filePath, EXTRACTORS[fileType].extension);
+        fileKept = true;
+
+        // Register any documents indexed before the registry existed first,
+        // so the session's registry stays complete
+        await sessionDocuments(sessionId);
+        await sessionStore.recordDocument(sessionId, {
+            document_id: documentId,
+            name: originalName,
+            format: fileType,
+            pages: numPages,
+            page_unit: unit,
+            fingerprint,
+            uploaded_at: uploadedAt,
+            chunks: vectors.length,
+            vector_ids: vectors.map(v => v.id)
+        });
+        job.throwIfCancelled();
+
+        logger.info("Ingestion finished", {
+            document_id: documentId,
+            chunks: vectors.length,
+            skipped_chunks: skipped,
+            reused_chunks: reused,
+            cache_hit: cacheHit,
+            timings_ms: currentTimings()
+        });
+
+        return {
+            document_id: documentId,
+            document: originalName,
+            uploaded_chunks: vectors.length,
+            skipped_chunks: skipped,
+            cache_hit: cacheHit,
+            reused_chunks: reused,
+            fingerprint,
+            format: fileType,
+            pages: numPages,
+            page_unit: unit,
+            chunking: { strategy, chunk_size: chunkSize, overlap },
+            session_id: sessionId
+        };
 
     } catch (err) {
-        console.error("--- ERROR IN /api/upload ---");
-        if (err.errorDetails) {
-            console.error(JSON.stringify(err.errorDetails, null, 2));
-        } else {
-            console.error(err);
+        if (err instanceof JobCancelledError) {
+            logger.info("Ingestion cancelled, removing partial data", { document_id: documentId });
+            await deleteDocumentVectors(sessionId, documentId)
+                .catch(cleanupError => logger.error("Error removing cancelled document", { document_id: documentId, err: cleanupError }));
+            throw err;
+        }
+        logger.error("Ingestion failed", { document_id: documentId, timings_ms: currentTimings(), err });
+        throw err;
+
+    } finally {
+        pendingUploads.delete(filePath);
+        if (!fileKept) {
+            await fs.unlink(filePath)
+                .catch(unlinkError => logger.warn("Error cleaning up file", { err: unlinkError }));
+        }
+    }
+}
+
+// Helper function to remove the upload of an ingestion job cancelled before
+// it started
+function discardUpload(filePath) {
+    pendingUploads.delete(filePath);
+    fs.unlink(filePath).catch(err => logger.warn("Error cleaning up file", { err }));
+}
+
+// Route to create an account. Disabled with ALLOW_REGISTRATION=false.
+app.post("/api/auth/register", rateLimit("auth"), async (req, res) => {
+    try {
+        if (!ALLOW_REGISTRATION) {
+            return res.status(403).json({ error: "Registration is disabled" });
+        }
+        const { username, password } = req.body || {};
+        const problem = checkCredentials(username, password);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+        const user = await users.create(username, password);
+        if (!user) {
+            return res.status(409).json({ error: "Username is already taken" });
+        }
+        logger.info("Registered user", { user_id: user.id, username: user.username });
+        res.status(201).json({ ok: true, user: publicUser(user), ...tokens.sign(user) });
+    } catch (err) {
+        logger.error("Error in /api/auth/register", { err });
+        res.status(500).json({ error: err.message || "Registration failed" });
+    }
+});
+
+// Route to exchange a username and password for an access token
+app.post("/api/auth/login", rateLimit("auth"), async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const user = await users.authenticate(username, password);
+        if (!user) {
+            return res.status(401).json({ error: "Invalid username or password" });
+        }
+        res.json({ ok: true, user: publicUser(user), ...tokens.sign(user) });
+    } catch (err) {
+        logger.error("Error in /api/auth/login", { err });
+        res.status(500).json({ error: err.message || "Login failed" });
+    }
+});
+
+// Route to check a token and get the signed-in user
+app.get("/api/auth/me", requireAuth, (req, res) => {
+    res.json({ user: publicUser(req.user) });
+});
+
+// Route to see the signed-in user's usage today and the server's limits
+app.get("/api/usage", requireAuth, async (req, res) => {
+    try {
+        res.json({
+            usage: await usageTracker.usage(req.user.id),
+            limits: {
+                max_upload_bytes: MAX_UPLOAD_BYTES || null,
+                max_upload_pages: MAX_UPLOAD_PAGES || null,
+                requests_per_minute: Object.fromEntries(Object.entries(RATE_LIMITS).map(([route, perMinute]) => [route, perMinute || null]))
+            }
+        });
+    } catch (err) {
+        logger.error("Error in /api/usage", { err });
+        res.status(500).json({ error: err.message || "An internal server error occurred." });
+    }
+});
+
+// Route for uploading a document (PDF, Word, Markdown, HTML or plain text).
+// Processing happens in a background job; poll GET /api/jobs/:jobId for
+// progress.
+app.post("/api/upload", requireAuth, rateLimit("upload"), requireQuota("embedding_tokens"), receiveUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: "No file uploaded" });
         }
+
+        const sessionId = req.body.sessionId;
+        if (!sessionId) {
+            await fs.unlink(path.resolve(req.file.path));
+            return res.status(400).json({ error: "Missing session ID" });
+        }
+        if (!(await sessionStore.claim(sessionId, req.user.id))) {
+            await fs.unlink(path.resolve(req.file.path));
+            return res.status(403).json({ error: "You do not have access to this session" });
+        }
+
+        let chunkingOptions;
+        try {
+            chunkingOptions = parseChunkingOption(req.body.chunking);
+        } catch (parseError) {
+            await fs.unlink(path.resolve(req.file.path));
+            return res.status(400).json({ error: `Invalid chunking option: ${parseError.message}` });
+        }
+
+        const documentId = uuidv4();
+        const params = {
+            filePath: path.resolve(req.file.path),
+            originalName: req.file.originalname,
+            fileType: req.fileType,
+            sessionId,
+            documentId,
+            chunkingOptions,
+            userId: req.user.id
+        };
+        // Jobs log with their own ID and the ID of the upload that queued them
+        const requestId = req.id;
+        const job = ingestJobs.enqueue(
+            { type: "ingest", session_id: sessionId, document_id: documentId, document: req.file.originalname },
+            ctx => withLogContext({ request_id: requestId, job_id: ctx.id }, () => ingestDocument(ctx, params)),
+            { onDiscard: () => discardUpload(params.filePath) }
+        );
+        pendingUploads.set(params.filePath, job);
+        logger.info("Queued ingestion job", { job_id: job.id, session_id: sessionId, document_id: documentId });
+
+        res.status(202).json({
+            ok: true,
+            job_id: job.id,
+            document_id: documentId,
+            status: job.status,
+            session_id: sessionId
+        });
+
+    } catch (err) {
+        logger.error("Error in /api/upload", { err });
         
         // Clean up file if it still exists
         try {
@@ -283,7 +804,7 @@ app.post("/api/upload", requireApiKey, upload.single("file"), async (req, res) =
                 await fs.unlink(path.resolve(req.file.path));
             }
         } catch (unlinkError) {
-            console.error("Error cleaning up file:", unlinkError.message);
+            logger.warn("Error cleaning up file", { err: unlinkError });
         }
         
         const errorMessage = err.message || "An internal server error occurred.";
@@ -291,130 +812,956 @@ app.post("/api/upload", requireApiKey, upload.single("file"), async (req, res) =
     }
 });
 
-// Route for asking a question
-app.post("/api/ask", requireApiKey, async (req, res) => {
+// Route to check on a background job
+app.get("/api/jobs/:jobId", requireAuth, async (req, res) => {
+    try {
+        const job = ingestJobs.get(req.params.jobId);
+        if (!job || !(await sessionStore.canAccess(job.session_id, req.user.id))) {
+            return res.status(404).json({ error: "Job not found" });
+        }
+        res.json(publicJob(job));
+    } catch (err) {
+        logger.error("Error in /api/jobs/:jobId", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route to cancel a queued or running job
+app.delete("/api/jobs/:jobId", requireAuth, async (req, res) => {
     try {
-        const { question, sessionId, topK = 4 } = req.body;
-        if (!question) {
-            return res.status(400).json({ error: "Missing question" });
+        const job = ingestJobs.get(req.params.jobId);
+        if (!job || !(await sessionStore.canAccess(job.session_id, req.user.id))) {
+            return res.status(404).json({ error: "Job not found" });
+        }
+        if (!ingestJobs.cancel(job.id)) {
+            return res.status(409).json({ error: `Job already ${job.status}` });
         }
+        logger.info("Cancellation requested", { job_id: job.id });
+        res.json(publicJob(job));
+    } catch (err) {
+        logger.error("Error in DELETE /api/jobs/:jobId", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
 
-        if (!sessionId) {
-            return res.status(400).json({ error: "Missing session ID" });
+// Helper function to parse optional context-assembly settings from an ask request
+function parseContextOptions({ mmr, neighbors, contextTokens }) {
+    const options = {};
+    if (mmr !== undefined) {
+        if (typeof mmr !== "boolean") return { error: "mmr must be a boolean" };
+        options.useMMR = mmr;
+    }
+    if (neighbors !== undefined) {
+        if (!Number.isInteger(neighbors) || neighbors < 0 || neighbors > 2) {
+            return { error: "neighbors must be an integer between 0 and 2" };
+        }
+        options.neighbors = neighbors;
+    }
+    if (contextTokens !== undefined) {
+        if (!Number.isInteger(contextTokens) || contextTokens < 100 || contextTokens > 8000) {
+            return { error: "contextTokens must be an integer between 100 and 8000" };
         }
+        options.tokenBudget = contextTokens;
+    }
+    return options;
+}
+
+const NO_MATCH_ANSWER = "I couldn't find any relevant information in the current document. Please make sure you have uploaded a document for this session.";
+const LOW_RELEVANCE_ANSWER = "I couldn't find an answer to that in the uploaded documents. Try rephrasing the question or asking about a topic they cover.";
+
+// Minimum cosine similarity between the question and the best retrieved
+// chunk for the model to be asked at all. 0 (the default) turns it off.
+const MIN_RELEVANCE_SCORE = Number(process.env.MIN_RELEVANCE_SCORE) || 0;
+
+// Helper function to turn a follow-up into a standalone retrieval query
+async function rewriteQuestion(turns, question, user) {
+    if (turns.length === 0) return question;
+    try {
+        const output = await generateFor(user, buildRewritePrompt(turns, question), "rewrite");
+        return pickRewrittenQuestion(output, question);
+    } catch (error) {
+        logger.warn("Question rewrite failed, retrieving with the original question", { err: error });
+        return question;
+    }
+}
+
+// Helper function to validate an ask request, retrieve context and build the prompt.
+// Model calls are counted against `user`'s quotas. Returns { status, error } for invalid requests, otherwise
+// { sessionId, matches, prompt, rewrittenQuestion, flagged } with a null
+// prompt and a `notFound` answer when nothing relevant was found. `flagged`
+// lists the matches that had text removed by the injection screen.
+async function prepareAnswer(body, user) {
+    const { question, sessionId, documentIds, history, mode = DEFAULT_RETRIEVAL_MODE } = body;
+    if (!question) {
+        return { status: 400, error: "Missing question" };
+    }
 
-        console.log(`[DEBUG] Processing question for session: ${sessionId}`);
+    if (!sessionId) {
+        return { status: 400, error: "Missing session ID" };
+    }
+
+    if (documentIds !== undefined && !(Array.isArray(documentIds) && documentIds.every(id => typeof id === "string"))) {
+        return { status: 400, error: "documentIds must be an array of document IDs" };
+    }
+
+    const topK = clampTopK(body.topK);
+    if (topK === null) {
+        return { status: 400, error: "topK must be a number" };
+    }
+
+    const contextOptions = parseContextOptions(body);
+    if (contextOptions.error) {
+        return { status: 400, error: contextOptions.error };
+    }
+
+    if (!RETRIEVAL_MODES.includes(mode)) {
+        return { status: 400, error: `mode must be one of: ${RETRIEVAL_MODES.join(", ")}` };
+    }
+
+    if (body.minScore !== undefined && (typeof body.minScore !== "number" || !(body.minScore >= 0 && body.minScore <= 1))) {
+        return { status: 400, error: "minScore must be a number between 0 and 1" };
+    }
+    // Callers can only raise the configured threshold, never lower it
+    const minScore = Math.max(MIN_RELEVANCE_SCORE, body.minScore ?? 0);
+
+    const turns = normalizeHistory(history);
+    if (!turns) {
+        return { status: 400, error: "history must be an array of { role: \"user\" | \"assistant\", text } turns" };
+    }
+
+    logger.debug("Processing question", { session_id: sessionId });
+
+    // Resolve follow-ups against the conversation, then clean before embedding
+    const rewrittenQuestion = await rewriteQuestion(turns, question, user);
+    if (rewrittenQuestion !== question) {
+        logger.debug("Rewrote follow-up", { rewritten_question: rewrittenQuestion });
+    }
+    const cleanedQuestion = cleanText(rewrittenQuestion);
+    if (!cleanedQuestion) {
+        return { status: 400, error: "Question contains no valid content" };
+    }
+
+    // Dense, keyword or fused retrieval, restricted to the session's
+    // registered documents. Over-fetch so the context stage has room to drop
+    // near-duplicates.
+    const searched = (await sessionDocuments(sessionId))
+        .map(doc => doc.document_id)
+        .filter(id => !documentIds?.length || documentIds.includes(id));
+    const candidates = searched.length ? await retrieve({
+        vectorStore,
+        lexicalIndex,
+        embed: text => embedFor(user, text),
+        sessionId,
+        query: cleanedQuestion,
+        topK: Math.max(topK * 4, 20),
+        mode,
+        span,
+        filter: { session_id: sessionId, document_id: { $in: searched } }
+    }) : [];
+
+    if (candidates.length === 0) {
+        notFoundAnswers.inc({ reason: "no_documents" });
+        return { sessionId, matches: [], prompt: null, rewrittenQuestion, notFound: NO_MATCH_ANSWER, flagged: [] };
+    }
+
+    // Weak matches are not worth an answer: below the threshold the model
+    // would only be guessing from unrelated text
+    const relevant = filterByRelevance(candidates, minScore);
+    if (relevant.length === 0) {
+        logger.debug("No chunk reached the relevance threshold", {
+            min_score: minScore,
+            best_score: Math.max(...candidates.map(c => c.scores.dense ?? 0))
+        });
+        notFoundAnswers.inc({ reason: "low_relevance" });
+        return { sessionId, matches: [], prompt: null, rewrittenQuestion, notFound: LOW_RELEVANCE_ANSWER, flagged: [] };
+    }
+
+    const { chunks: matches, tokens } = await assembleContext(relevant, {
+        topK,
+        ...contextOptions,
+        fetchNeighbors: (selected, distance) => fetchNeighborChunks(vectorStore, sessionId, selected, distance)
+    });
+    logger.debug("Assembled context", { chunks: matches.length, tokens, candidates: candidates.length });
+
+    // Document text that addresses the model is removed before it reaches
+    // the prompt
+    const { chunks: screened, flagged } = screenChunks(matches);
+    if (flagged.length) {
+        logger.warn("Removed likely prompt injection from context", {
+            session_id: sessionId,
+            chunks: flagged.map(i => matches[i].id)
+        });
+        injectionFlags.inc({}, flagged.length);
+    }
+
+    const prompt = buildAnswerPrompt(screened, question, turns);
+    return { sessionId, matches, prompt, rewrittenQuestion, flagged };
+}
 
-        // Clean the question before embedding
-        const cleanedQuestion = cleanText(question);
-        if (!cleanedQuestion) {
-            return res.status(400).json({ error: "Question contains no valid content" });
+// Helper function to save a question and its answer to the session's
+// conversation. Failures are logged; the answer has been sent either way.
+async function recordExchange(user, sessionId, question, reply) {
+    try {
+        if (!(await sessionStore.claim(sessionId, user.id))) return;
+        await sessionStore.appendMessages(sessionId, [{ role: "user", text: question }, { role: "assistant", ...reply }]);
+    } catch (err) {
+        logger.error("Could not save conversation", { session_id: sessionId, err });
+    }
+}
+
+// Helper function to check a generated answer against its context. Returns
+// the `grounded` confidence and `unsupported_sentences` fields of a reply.
+function groundAnswer(answer, matches) {
+    const { grounded, unsupported } = checkGrounding(answer, matches);
+    if (unsupported.length) {
+        logger.debug("Answer has unsupported sentences", { grounded, unsupported: unsupported.length });
+        ungroundedSentences.inc({}, unsupported.length);
+    }
+    return { grounded, unsupported_sentences: unsupported };
+}
+
+function formatSources(matches, citations = [], flagged = []) {
+    const cited = new Set(citations.map(c => c.id));
+    return matches.map((m, i) => ({
+        citation_id: i + 1,
+        cited: cited.has(i + 1),
+        flagged: flagged.includes(i),
+        source: m.metadata.source,
+        document_id: m.metadata.document_id,
+        chunk_index: m.metadata.chunk_index,
+        page_start: m.metadata.page_start,
+        page_end: m.metadata.page_end,
+        page_unit: m.metadata.page_unit ?? "page",
+        format: m.metadata.format ?? "pdf",
+        session_id: m.metadata.session_id,
+        score: m.score ?? null,
+        scores: m.scores ?? null,
+        neighbor_of: m.neighbor_of ?? null
+    }));
+}
+
+// Streams an answer as Server-Sent Events: `delta` events carry answer text
+// as it is generated, then a final `done` event carries the full answer and
+// sources (or an `error` event). Closing the connection cancels generation.
+async function streamAnswer(req, res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    try {
+        const prepared = await prepareAnswer(req.body, req.user);
+        if (prepared.error) {
+            return res.status(prepared.status).json({ error: prepared.error });
         }
 
-        const qEmbResp = await geminiEmbeddingModel.embedContent(cleanedQuestion);
-        const qEmb = qEmbResp.embedding.values;
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no"
+        });
 
-        // Query with session filter
-        const queryResp = await index.query({
-            topK,
-            vector: qEmb,
-            includeMetadata: true,
-            filter: { session_id: sessionId } // Filter by session ID
+        let answer = "";
+        if (!prepared.prompt) {
+            answer = prepared.notFound;
+            sendEvent("delta", { text: answer });
+        } else {
+            await usageTracker.record(req.user.id, "generations", 1);
+            await span("generate", async () => {
+                for await (const text of modelProvider.generateStream(prepared.prompt, { signal: controller.signal, task: "answer" })) {
+                    if (controller.signal.aborted) break;
+                    answer += text;
+                    sendEvent("delta", { text });
+                }
+            }, { streamed: true });
+        }
+
+        if (controller.signal.aborted) {
+            logger.info("Client aborted streaming answer", { session_id: prepared.sessionId });
+            return;
+        }
+
+        const { answer: citedAnswer, citations, invalid } = resolveCitations(answer, prepared.matches);
+        if (invalid.length) {
+            logger.debug("Dropped citations to unknown passages", { invalid });
+        }
+
+        const reply = {
+            answer: citedAnswer,
+            citations,
+            sources: formatSources(prepared.matches, citations, prepared.flagged),
+            ...(prepared.prompt ? groundAnswer(citedAnswer, prepared.matches) : { grounded: null, unsupported_sentences: [] }),
+            not_found: !prepared.prompt,
+            rewritten_question: prepared.rewrittenQuestion
+        };
+        sendEvent("done", { ...reply, session_id: prepared.sessionId });
+        res.end();
+        await recordExchange(req.user, prepared.sessionId, req.body.question, {
+            text: reply.answer,
+            citations: reply.citations,
+            sources: reply.sources,
+            grounded: reply.grounded,
+            unsupported_sentences: reply.unsupported_sentences,
+            not_found: reply.not_found,
+            rewritten_question: reply.rewritten_question
         });
 
-        const matches = queryResp.matches || [];
-        
-        if (matches.length === 0) {
-            return res.json({ 
-                answer: "I couldn't find any relevant information in the current document. Please make sure you have uploaded a PDF document for this session.",
-                sources: []
-            });
+    } catch (err) {
+        if (controller.signal.aborted) {
+            logger.info("Streaming answer cancelled by client");
+            return;
+        }
+        logger.error("Error in /api/ask/stream", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        if (!res.headersSent) {
+            return res.status(500).json({ error: errorMessage });
+        }
+        sendEvent("error", { error: errorMessage });
+        res.end();
+    }
+}
+
+// Route for asking a question (streams when the client accepts text/event-stream)
+app.post("/api/ask", requireAuth, claimSession, requireSessionAccess, rateLimit("ask"), requireQuota("embedding_tokens", "generations"), async (req, res) => {
+    if ((req.headers.accept || "").includes("text/event-stream")) {
+        return streamAnswer(req, res);
+    }
+
+    try {
+        const prepared = await prepareAnswer(req.body, req.user);
+        if (prepared.error) {
+            return res.status(prepared.status).json({ error: prepared.error });
         }
 
-        const contexts = matches.map(m => m.metadata.text).join("\n---\n");
+        if (!prepared.prompt) {
+            res.json({ 
+                answer: prepared.notFound,
+                citations: [],
+                sources: [],
+                grounded: null,
+                unsupported_sentences: [],
+                not_found: true,
+                rewritten_question: prepared.rewrittenQuestion
+            });
+            return recordExchange(req.user, prepared.sessionId, req.body.question, {
+                text: prepared.notFound,
+                not_found: true,
+                rewritten_question: prepared.rewrittenQuestion
+            });
+        }
 
-        const systemInstruction = "You are a helpful assistant. Use the provided context from the uploaded PDF document to answer the question. If the answer is not contained within the context, say that you cannot find the answer in the provided document. Answer concisely and accurately based only on the document content.";
-        const userPrompt = `Context from the uploaded document:\n${contexts}\n\nQuestion: ${question}`;
-        
-        const fullPrompt = `${systemInstruction}\n\n${userPrompt}`;
-        
-        const result = await geminiChatModel.generateContent(fullPrompt);
-        const response = await result.response;
-        const answer = response.text();
+        const rawAnswer = await generateFor(req.user, prepared.prompt, "answer");
+        const { answer, citations, invalid } = resolveCitations(rawAnswer, prepared.matches);
+        if (invalid.length) {
+            logger.debug("Dropped citations to unknown passages", { invalid });
+        }
 
+        const sources = formatSources(prepared.matches, citations, prepared.flagged);
+        const grounding = groundAnswer(answer, prepared.matches);
         res.json({ 
             answer, 
-            sources: matches.map(m => ({
-                source: m.metadata.source,
-                chunk_index: m.metadata.chunk_index,
-                session_id: m.metadata.session_id
-            })),
-            session_id: sessionId
+            citations,
+            sources,
+            ...grounding,
+            not_found: false,
+            rewritten_question: prepared.rewrittenQuestion,
+            session_id: prepared.sessionId
         });
+        await recordExchange(req.user, prepared.sessionId, req.body.question, {
+            text: answer,
+            citations,
+            sources,
+            ...grounding,
+            not_found: false,
+            rewritten_question: prepared.rewrittenQuestion
+        });
+
+    } catch (err) {
+        logger.error("Error in /api/ask", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route for asking a question with a streamed answer
+app.post("/api/ask/stream", requireAuth, claimSession, requireSessionAccess, rateLimit("ask"), requireQuota("embedding_tokens", "generations"), streamAnswer);
+
+// When an idle session will expire, or null when sessions don't expire
+function sessionExpiry(session) {
+    if (!SESSION_TTL_HOURS || !session) return null;
+    const lastAccess = Date.parse(session.last_accessed_at || session.updated_at);
+    return new Date(lastAccess + SESSION_TTL_HOURS * 3600 * 1000).toISOString();
+}
+
+function publicSession(session) {
+    const { owner_id, documents, ...rest } = session;
+    return { ...rest, expires_at: sessionExpiry(session) };
+}
+
+// Route to list the signed-in user's sessions, most recently active first
+app.get("/api/sessions", requireAuth, async (req, res) => {
+    try {
+        const sessions = await sessionStore.listByOwner(req.user.id);
+        res.json({ sessions: sessions.map(publicSession) });
+    } catch (err) {
+        logger.error("Error in /api/sessions", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
 
+// Route to load a session's saved conversation
+app.get("/api/sessions/:sessionId/messages", requireAuth, requireSessionAccess, async (req, res) => {
+    try {
+        const session = await sessionStore.get(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        const messages = await sessionStore.listMessages(session.id);
+        res.json({ session: publicSession(session), messages });
     } catch (err) {
-        console.error("--- ERROR IN /api/ask ---", err);
+        logger.error("Error in /api/sessions/:sessionId/messages", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route to rename a session
+app.patch("/api/sessions/:sessionId", requireAuth, requireSessionAccess, async (req, res) => {
+    try {
+        const title = typeof req.body.title === "string" ? req.body.title.replace(/\s+/g, " ").trim() : "";
+        if (!title || title.length > 100) {
+            return res.status(400).json({ error: "title must be 1-100 characters" });
+        }
+        const session = await sessionStore.rename(req.params.sessionId, title);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        res.json({ ok: true, session: publicSession(session) });
+    } catch (err) {
+        logger.error("Error in PATCH /api/sessions/:sessionId", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route to delete a session: its documents, stored files and conversation
+app.delete("/api/sessions/:sessionId", requireAuth, requireSessionAccess, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (!(await sessionStore.get(sessionId))) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        logger.info("Deleting session", { session_id: sessionId });
+        await deleteSessionVectors(sessionId);
+        await sessionStore.remove(sessionId);
+        res.json({ ok: true, session_id: sessionId });
+    } catch (err) {
+        logger.error("Error in DELETE /api/sessions/:sessionId", { err });
         const errorMessage = err.message || "An internal server error occurred.";
         res.status(500).json({ error: errorMessage });
     }
 });
 
 // Route to clear/delete session data
-app.post("/api/clear-session", requireApiKey, async (req, res) => {
+app.post("/api/clear-session", requireAuth, requireSessionAccess, async (req, res) => {
     try {
         const { sessionId } = req.body;
         if (!sessionId) {
             return res.status(400).json({ error: "Missing session ID" });
         }
 
-        console.log(`[DEBUG] Clearing session: ${sessionId}`);
+        logger.info("Clearing session", { session_id: sessionId });
         await deleteSessionVectors(sessionId);
         
         res.json({ ok: true, message: `Session ${sessionId} cleared successfully` });
     } catch (err) {
-        console.error("--- ERROR IN /api/clear-session ---", err);
+        logger.error("Error in /api/clear-session", { err });
         const errorMessage = err.message || "An internal server error occurred.";
         res.status(500).json({ error: errorMessage });
     }
 });
 
 // Route to get session info
-app.get("/api/session/:sessionId", requireApiKey, async (req, res) => {
+app.get("/api/session/:sessionId", requireAuth, requireSessionAccess, async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        // Query to get document info for this session
-        const queryResponse = await index.query({
-            vector: new Array(768).fill(0), // Dummy vector for querying
-            topK: 1, // We just need to check if session exists
-            includeMetadata: true,
-            filter: { session_id: sessionId }
-        });
+        const session = await sessionStore.get(sessionId);
+        const documents = await listSessionDocuments(sessionId);
+        const stats = {
+            documents,
+            document_count: documents.length,
+            total_chunks: documents.reduce((sum, doc) => sum + doc.chunks, 0),
+            total_pages: documents.reduce((sum, doc) => sum + (doc.pages || 0), 0),
+            created_at: session?.created_at ?? null,
+            last_accessed_at: session?.last_accessed_at ?? null,
+            expires_at: sessionExpiry(session),
+            session_id: sessionId
+        };
         
-        if (queryResponse.matches && queryResponse.matches.length > 0) {
-            const firstMatch = queryResponse.matches[0];
+        if (documents.length > 0) {
             res.json({
                 exists: true,
-                document: firstMatch.metadata.source,
-                uploaded_at: firstMatch.metadata.uploaded_at,
-                session_id: sessionId
+                document: documents[0].name,
+                uploaded_at: documents[0].uploaded_at,
+                ...stats
             });
         } else {
-            res.json({
-                exists: false,
-                session_id: sessionId
-            });
+            res.json({ exists: false, ...stats });
         }
         
     } catch (err) {
-        console.error("--- ERROR IN /api/session/:sessionId ---", err);
+        logger.error("Error in /api/session/:sessionId", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route to list the documents in a session
+app.get("/api/session/:sessionId/documents", requireAuth, requireSessionAccess, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const documents = await listSessionDocuments(sessionId);
+        res.json({ documents, session_id: sessionId });
+    } catch (err) {
+        logger.error("Error in /api/session/:sessionId/documents", { err });
         const errorMessage = err.message || "An internal server error occurred.";
         res.status(500).json({ error: errorMessage });
     }
 });
 
+// Route to remove a single document from a session
+app.delete("/api/session/:sessionId/documents/:documentId", requireAuth, requireSessionAccess, async (req, res) => {
+    try {
+        const { sessionId, documentId } = req.params;
+
+        logger.info("Removing document", { session_id: sessionId, document_id: documentId });
+        const deleted = await deleteDocumentVectors(sessionId, documentId);
+        if (deleted === null) {
+            return res.status(404).json({ error: "Document not found in this session" });
+        }
+
+        res.json({ ok: true, document_id: documentId, deleted_chunks: deleted, session_id: sessionId });
+    } catch (err) {
+        logger.error("Error in /api/session/:sessionId/documents/:documentId", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Helper function to load a session document's page texts, from the
+// extraction cache or by re-parsing the stored original
+async function loadDocumentPages(sessionId, documentId) {
+    const document = (await listSessionDocuments(sessionId)).find(doc => doc.document_id === documentId);
+    if (!document) return null;
+
+    const cached = document.fingerprint && await extractionCache.get(document.fingerprint);
+    if (cached) return { document, pages: cached.pages };
+
+    const format = document.format ?? "pdf";
+    const filePath = await documentStore.locate(sessionId, documentId, EXTRACTORS[format].extension);
+    if (!filePath) return { document, pages: null };
+    const { pages } = await span("parse", async () => extractDocument(format, await fs.readFile(filePath)));
+    return { document, pages };
+}
+
+// Route for extracting structured data from a session document, either as
+// a question bank (built-in worksheet parser) or against a caller-supplied
+// JSON Schema. `format: "csv"` returns the rows as a CSV download.
+app.post("/api/extract", requireAuth, requireSessionAccess, rateLimit("extract"), requireQuota("generations"), async (req, res) => {
+    try {
+        const { sessionId, documentId, mode = "question_bank", schema, instructions } = req.body;
+        const format = req.body.format || req.query.format || "json";
+
+        if (!sessionId || !documentId) {
+            return res.status(400).json({ error: "Missing session ID or document ID" });
+        }
+        if (!EXTRACTION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${EXTRACTION_MODES.join(", ")}` });
+        }
+        if (!["json", "csv"].includes(format)) {
+            return res.status(400).json({ error: "format must be json or csv" });
+        }
+        if (instructions !== undefined && typeof instructions !== "string") {
+            return res.status(400).json({ error: "instructions must be a string" });
+        }
+        if (mode === "schema") {
+            const problem = checkSchema(schema);
+            if (problem) {
+                return res.status(400).json({ error: `Invalid schema: ${problem}` });
+            }
+        }
+
+        const source = await loadDocumentPages(sessionId, documentId);
+        if (!source) {
+            return res.status(404).json({ error: "Document not found in this session" });
+        }
+        if (!source.pages) {
+            return res.status(409).json({ error: "The document's text is no longer available; upload it again" });
+        }
+
+        logger.debug("Extracting structured data", { mode, session_id: sessionId, document_id: documentId });
+        let result;
+        let attempts = null;
+        let rows;
+        if (mode === "question_bank") {
+            result = parseQuestionBank(source.pages);
+            rows = questionBankRows(result);
+        } else {
+            const label = source.document.page_unit === "section" ? "Section" : "Page";
+            const text = source.pages
+                .map((page, i) => `[${label} ${i + 1}]\n${page.trim()}`)
+                .join("\n\n")
+                .slice(0, EXTRACT_MAX_CHARS);
+            ({ data: result, attempts } = await extractWithSchema({
+                generate: prompt => generateFor(req.user, prompt, "extraction"),
+                text,
+                schema,
+                instructions,
+                maxAttempts: EXTRACT_MAX_ATTEMPTS
+            }));
+            rows = extractionRows(result);
+        }
+
+        if (format === "csv") {
+            const fileName = `${source.document.name.replace(/\.[^.]+$/, "")}-${mode}.csv`;
+            res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+            return res.type("text/csv").send(toCsv(rows));
+        }
+
+        res.json({
+            ok: true,
+            mode,
+            document_id: documentId,
+            document: source.document.name,
+            result,
+            attempts,
+            session_id: sessionId
+        });
+    } catch (err) {
+        if (err instanceof ExtractionError) {
+            logger.warn("Extraction failed validation", { errors: err.errors });
+            return res.status(422).json({
+                error: err.message,
+                validation_errors: err.errors,
+                attempts: err.attempts,
+                raw: err.raw
+            });
+        }
+        logger.error("Error in /api/extract", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route for summarizing whole documents: a map-reduce pass over every chunk
+// of each selected document. Summaries are cached per document, mode and
+// chat model; `refresh: true` regenerates them.
+app.post("/api/summarize", requireAuth, requireSessionAccess, rateLimit("summarize"), requireQuota("generations"), async (req, res) => {
+    try {
+        const { sessionId, documentIds, mode = "short", refresh = false } = req.body;
+        if (!sessionId) {
+            return res.status(400).json({ error: "Missing session ID" });
+        }
+        if (!SUMMARY_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${SUMMARY_MODES.join(", ")}` });
+        }
+        if (documentIds !== undefined && (!Array.isArray(documentIds) || documentIds.some(id => typeof id !== "string"))) {
+            return res.status(400).json({ error: "documentIds must be an array of document IDs" });
+        }
+
+        const documents = await sessionDocuments(sessionId);
+        const missing = (documentIds || []).filter(id => !documents.some(doc => doc.document_id === id));
+        if (missing.length) {
+            return res.status(404).json({ error: `Document not found in this session: ${missing.join(", ")}` });
+        }
+        const selected = documentIds ? documents.filter(doc => documentIds.includes(doc.document_id)) : documents;
+        if (selected.length === 0) {
+            return res.status(404).json({ error: "No documents found in this session" });
+        }
+
+        const modelKey = `${modelProvider.name}:${modelProvider.chatModel}`;
+        const summaries = [];
+        for (const doc of selected) {
+            let entry = !refresh && doc.fingerprint ? await summaryCache.get(doc.fingerprint, mode, modelKey) : null;
+            const cached = Boolean(entry);
+            if (!entry) {
+                logger.debug("Summarizing document", { mode, session_id: sessionId, document_id: doc.document_id });
+                const chunks = (await vectorStore.fetch(doc.vector_ids)).map(record => record.metadata);
+                entry = await summarizeChunks(chunks, { mode, generate: prompt => generateFor(req.user, prompt, "summary") });
+                if (doc.fingerprint) await summaryCache.set(doc.fingerprint, mode, modelKey, entry);
+            }
+            summaries.push({
+                document_id: doc.document_id,
+                document: doc.name,
+                pages: doc.pages,
+                summary: entry.summary,
+                parts: entry.parts,
+                cached
+            });
+        }
+
+        res.json({ ok: true, mode, summaries, session_id: sessionId });
+        await sessionStore.appendMessages(sessionId, summaries.map(summary => ({
+            role: "assistant",
+            text: summary.summary,
+            summary: { mode, document_id: summary.document_id, document: summary.document }
+        }))).catch(err => logger.error("Could not save summaries", { session_id: sessionId, err }));
+    } catch (err) {
+        logger.error("Error in /api/summarize", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Helper function to pick the chunks a quiz is written from. With a topic,
+// the chunks retrieved for it; otherwise chunks spread evenly through the
+// selected documents. Either way they are capped at QUIZ_CONTEXT_TOKENS.
+async function selectQuizChunks(sessionId, { documentIds, topic, count, user }) {
+    const wanted = Math.min(count * 2, 20);
+    const documents = (await sessionDocuments(sessionId))
+        .filter(doc => !documentIds?.length || documentIds.includes(doc.document_id));
+    if (documents.length === 0) return [];
+
+    let chunks;
+    if (topic) {
+        chunks = await retrieve({
+            vectorStore,
+            lexicalIndex,
+            embed: text => embedFor(user, text),
+            sessionId,
+            query: cleanText(topic),
+            topK: wanted,
+            mode: DEFAULT_RETRIEVAL_MODE,
+            span,
+            filter: { session_id: sessionId, document_id: { $in: documents.map(doc => doc.document_id) } }
+        });
+    } else {
+        const records = (await vectorStore.fetch(documents.flatMap(doc => doc.vector_ids)))
+            .sort((a, b) => (a.metadata.uploaded_at || "").localeCompare(b.metadata.uploaded_at || "") ||
+                a.metadata.document_id.localeCompare(b.metadata.document_id) ||
+                a.metadata.chunk_index - b.metadata.chunk_index);
+        const step = Math.max(1, records.length / wanted);
+        chunks = [];
+        for (let i = 0; i < records.length && chunks.length < wanted; i += step) {
+            chunks.push(records[Math.floor(i)]);
+        }
+    }
+
+    const selected = [];
+    let tokens = 0;
+    for (const chunk of chunks) {
+        const chunkTokens = countTokens(chunk.metadata.text || "");
+        if (selected.length && tokens + chunkTokens > QUIZ_CONTEXT_TOKENS) break;
+        selected.push(chunk);
+        tokens += chunkTokens;
+    }
+    return selected;
+}
+
+// Route for generating a practice quiz from a session's documents. Returns
+// the questions with their answer key, explanations and source locations.
+app.post("/api/quiz", requireAuth, requireSessionAccess, rateLimit("quiz"), requireQuota("embedding_tokens", "generations"), async (req, res) => {
+    try {
+        const { sessionId, documentIds, topic, type = "mcq", count = 5 } = req.body;
+        if (!sessionId) {
+            return res.status(400).json({ error: "Missing session ID" });
+        }
+        if (!QUIZ_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${QUIZ_TYPES.join(", ")}` });
+        }
+        if (!Number.isInteger(count) || count < 1 || count > MAX_QUIZ_QUESTIONS) {
+            return res.status(400).json({ error: `count must be an integer between 1 and ${MAX_QUIZ_QUESTIONS}` });
+        }
+        if (documentIds !== undefined && (!Array.isArray(documentIds) || documentIds.some(id => typeof id !== "string"))) {
+            return res.status(400).json({ error: "documentIds must be an array of document IDs" });
+        }
+        if (topic !== undefined && (typeof topic !== "string" || topic.length > 200)) {
+            return res.status(400).json({ error: "topic must be a string of at most 200 characters" });
+        }
+
+        const chunks = await selectQuizChunks(sessionId, { documentIds, topic: topic?.trim(), count, user: req.user });
+        if (chunks.length === 0) {
+            return res.status(404).json({ error: topic ? "Nothing in this session's documents matches that topic" : "No documents found in this session" });
+        }
+
+        const { chunks: screened, flagged } = screenChunks(chunks);
+        if (flagged.length) {
+            logger.warn("Removed likely prompt injection from quiz context", { session_id: sessionId, chunks: flagged.map(i => chunks[i].id) });
+            injectionFlags.inc({}, flagged.length);
+        }
+
+        logger.debug("Generating quiz", { session_id: sessionId, type, count, chunks: chunks.length });
+        const { questions, attempts } = await generateQuiz(screened, {
+            generate: prompt => generateFor(req.user, prompt, "quiz"),
+            type,
+            count,
+            topic: topic?.trim(),
+            maxAttempts: EXTRACT_MAX_ATTEMPTS
+        });
+        const quiz = await quizStore.create(sessionId, { type, topic: topic?.trim() || null, document_ids: documentIds || null, questions });
+
+        res.json({
+            ok: true,
+            quiz_id: quiz.id,
+            type,
+            topic: quiz.topic,
+            questions,
+            attempts,
+            created_at: quiz.created_at,
+            session_id: sessionId
+        });
+    } catch (err) {
+        if (err instanceof ExtractionError) {
+            logger.warn("Quiz generation failed validation", { errors: err.errors });
+            return res.status(422).json({
+                error: "Could not generate a valid quiz from these documents",
+                validation_errors: err.errors,
+                attempts: err.attempts
+            });
+        }
+        logger.error("Error in /api/quiz", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route for grading answers to a quiz. `responses` maps question IDs to the
+// chosen option (label or text) or the written answer. `questionIds`
+// restricts grading to some questions, e.g. a retry of the missed ones;
+// unanswered questions among them count as wrong.
+app.post("/api/quiz/:quizId/grade", requireAuth, requireSessionAccess, rateLimit("quiz"), requireQuota("generations"), async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const { sessionId, responses, questionIds } = req.body;
+        if (!sessionId) {
+            return res.status(400).json({ error: "Missing session ID" });
+        }
+        if (!responses || typeof responses !== "object" || Array.isArray(responses) ||
+            Object.values(responses).some(value => typeof value !== "string")) {
+            return res.status(400).json({ error: "responses must map question IDs to answer strings" });
+        }
+
+        const quiz = await quizStore.get(sessionId, quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: "Quiz not found in this session" });
+        }
+        if (questionIds !== undefined && (!Array.isArray(questionIds) ||
+            questionIds.some(id => !quiz.questions.some(question => question.id === id)))) {
+            return res.status(400).json({ error: "questionIds must be an array of this quiz's question IDs" });
+        }
+        const questions = questionIds ? quiz.questions.filter(question => questionIds.includes(question.id)) : quiz.questions;
+
+        const graded = await gradeQuiz(questions, responses, {
+            generate: prompt => generateFor(req.user, prompt, "grading")
+        });
+        const missed = graded.results.filter(result => !result.correct).map(result => result.question_id);
+        await quizStore.recordAttempt(sessionId, quizId, {
+            question_ids: questions.map(question => question.id),
+            responses,
+            correct: graded.correct,
+            total: graded.total,
+            score: graded.score
+        });
+
+        res.json({ ok: true, quiz_id: quizId, ...graded, missed, session_id: sessionId });
+    } catch (err) {
+        logger.error("Error in /api/quiz/:quizId/grade", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Route to download the original file of a session document. PDFs are
+// served inline for the viewer; other formats (HTML in particular) only as
+// downloads so they never render in the app's origin.
+app.get("/api/session/:sessionId/documents/:documentId/file", requireAuth, requireSessionAccess, async (req, res) => {
+    try {
+        const { sessionId, documentId } = req.params;
+
+        const document = (await listSessionDocuments(sessionId)).find(doc => doc.document_id === documentId);
+        if (!document) {
+            return res.status(404).json({ error: "Document not found in this session" });
+        }
+        const extractor = EXTRACTORS[document.format ?? "pdf"];
+        const filePath = await documentStore.locate(sessionId, documentId, extractor.extension);
+        if (!filePath) {
+            return res.status(404).json({ error: "Original file is not available for this document" });
+        }
+
+        const disposition = extractor === EXTRACTORS.pdf ? "inline" : "attachment";
+        res.setHeader("Content-Disposition", `${disposition}; filename*=UTF-8''${encodeURIComponent(document.name)}`);
+        res.setHeader("Cache-Control", "private, no-store");
+        res.type(extractor.mimeType);
+        res.sendFile(filePath);
+    } catch (err) {
+        logger.error("Error in /api/session/:sessionId/documents/:documentId/file", { err });
+        const errorMessage = err.message || "An internal server error occurred.";
+        res.status(500).json({ error: errorMessage });
+    }
+});
+
+// Scheduled cleanup: sessions idle for longer than SESSION_TTL_HOURS are
+// deleted with their documents, stored files and conversation, and uploads
+// left behind by failed requests are removed after ORPHAN_UPLOAD_MINUTES
+let sweeping = false;
+async function sweep() {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+        if (SESSION_TTL_HOURS) {
+            const cutoff = new Date(Date.now() - SESSION_TTL_HOURS * 3600 * 1000).toISOString();
+            for (const session of await sessionStore.listIdle(cutoff)) {
+                try {
+                    await deleteSessionVectors(session.id);
+                } catch {
+                    // Keep the session so the next sweep retries its documents
+                    continue;
+                }
+                await sessionStore.remove(session.id);
+                logger.info("Expired idle session", { session_id: session.id, last_accessed_at: session.last_accessed_at || session.updated_at });
+            }
+        }
+        if (ORPHAN_UPLOAD_MINUTES) {
+            for (const [filePath, job] of pendingUploads) {
+                if (job.finished_at) pendingUploads.delete(filePath);
+            }
+            const removed = await removeOrphanUploads({
+                dir: UPLOAD_DIR,
+                olderThanMs: ORPHAN_UPLOAD_MINUTES * 60 * 1000,
+                keep: new Set(pendingUploads.keys())
+            });
+            if (removed) logger.info("Removed orphaned uploads", { removed });
+        }
+    } finally {
+        sweeping = false;
+    }
+}
+
+if (SWEEP_INTERVAL_MINUTES) {
+    const runSweep = () => sweep().catch(err => logger.error("Sweep failed", { err }));
+    setInterval(runSweep, SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+    runSweep();
+}
+
+// Route for Prometheus to scrape. Set METRICS_TOKEN to require it as a
+// bearer token.
+app.get("/metrics", (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers["authorization"] !== `Bearer ${token}`) {
+        return res.status(401).json({ error: "Invalid metrics token" });
+    }
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
 app.get("/", (req, res) => {
     res.send("PDF Q&A server with session management is running.");
 });
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => logger.info("Server running", { port: Number(PORT) }));
\ No newline at end of file
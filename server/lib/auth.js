@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import { v4 as uuidv4 } from "uuid";
+import { createWriteQueue, writeFileAtomic } from "./writes.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Returns a problem with the proposed credentials, or null if they are usable
+export function checkCredentials(username, password) {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+        return "Username must be 3-32 letters, digits, dots, dashes or underscores";
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Passwords are stored as "scrypt$<salt>$<hash>" in hex
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return false;
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(password, Buffer.from(salt, "hex"), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Reads the token signing secret from `file`, creating a random one on first
+// start so issued tokens stay valid across restarts
+export async function loadOrCreateSecret(file) {
+    try {
+        return (await fs.readFile(file, "utf8")).trim();
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    const secret = crypto.randomBytes(32).toString("hex");
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, secret, { mode: 0o600 });
+    return secret;
+}
+
+// HMAC-signed bearer tokens: base64url JSON payload "." base64url signature.
+// The payload carries the user ID, username and expiry time in seconds.
+export function createTokenSigner({ secret, ttlSeconds }) {
+    const signature = payload => crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+    return {
+        sign(user) {
+            const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+            const payload = Buffer.from(JSON.stringify({ sub: user.id, name: user.username, exp: expiresAt })).toString("base64url");
+            return { token: `${payload}.${signature(payload)}`, expires_at: new Date(expiresAt * 1000).toISOString() };
+        },
+
+        // Returns the token's claims, or null if it is malformed, tampered
+        // with or expired
+        verify(token) {
+            const [payload, sig] = (token || "").split(".");
+            if (!payload || !sig) return null;
+            const expected = Buffer.from(signature(payload));
+            const actual = Buffer.from(sig);
+            if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+            try {
+                const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+                return claims.exp * 1000 > Date.now() ? claims : null;
+            } catch {
+                return null;
+            }
+        }
+    };
+}
+
+// File-backed user accounts, held in memory and rewritten to disk after each
+// change. Usernames are matched case-insensitively.
+export function createUserStore({ filePath }) {
+    const users = new Map();
+    let loaded = null;
+    const writes = createWriteQueue();
+
+    function load() {
+        if (!loaded) {
+            loaded = fs.readFile(filePath, "utf8")
+                .then(raw => {
+                    for (const user of JSON.parse(raw)) users.set(user.id, user);
+                })
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                });
+        }
+        return loaded;
+    }
+
+    function persist() {
+        return writes.run(() => writeFileAtomic(filePath, JSON.stringify([...users.values()], null, 2), { mode: 0o600 }));
+    }
+
+    function findByName(username) {
+        const key = username.toLowerCase();
+        return [...users.values()].find(user => user.username.toLowerCase() === key) || null;
+    }
+
+    return {
+        async get(id) {
+            await load();
+            return users.get(id) || null;
+        },
+
+        // Creates an account, or returns null if the username is taken
+        async create(username, password) {
+            await load();
+            if (findByName(username)) return null;
+            const passwordHash = await hashPassword(password);
+            // Checked again: another registration may have landed while hashing
+            if (findByName(username)) return null;
+            const user = { id: uuidv4(), username, password_hash: passwordHash, created_at: new Date().toISOString() };
+            users.set(user.id, user);
+            await persist();
+            return user;
+        },
+
+        // Returns the user if the credentials match, otherwise null
+        async authenticate(username, password) {
+            await load();
+            const user = typeof username === "string" ? findByName(username) : null;
+            if (!user || typeof password !== "string") return null;
+            return (await verifyPassword(password, user.password_hash)) ? user : null;
+        }
+    };
+}
+
+export function publicUser(user) {
+    return { id: user.id, username: user.username, created_at: user.created_at };
+}
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Persistent embedding cache keyed by embedding model and chunk-text hash.
+// Each model gets an append-only JSON-lines file under `dir`, loaded into
+// memory the first time that model is used.
+export function createEmbeddingCache({ dir }) {
+    const models = new Map();
+
+    function fileFor(modelKey) {
+        return path.join(dir, `${modelKey.replace(/[^A-Za-z0-9._-]+/g, "_")}.jsonl`);
+    }
+
+    function load(modelKey) {
+        if (!models.has(modelKey)) {
+            models.set(modelKey, fs.readFile(fileFor(modelKey), "utf8")
+                .then(raw => {
+                    const entries = new Map();
+                    for (const line of raw.split("\n")) {
+                        if (!line) continue;
+                        try {
+                            const { h, v } = JSON.parse(line);
+                            entries.set(h, v);
+                        } catch {
+                            // A torn final line from a crash mid-append; skip it
+                        }
+                    }
+                    return entries;
+                })
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                    return new Map();
+                }));
+        }
+        return models.get(modelKey);
+    }
+
+    return {
+        // Returns cached vectors aligned with `texts` (null for misses)
+        async getMany(modelKey, texts) {
+            const entries = await load(modelKey);
+            return texts.map(text => entries.get(sha256(text)) || null);
+        },
+
+        async setMany(modelKey, items) {
+            if (items.length === 0) return;
+            const entries = await load(modelKey);
+            const lines = [];
+            for (const { text, vector } of items) {
+                const hash = sha256(text);
+                if (entries.has(hash)) continue;
+                entries.set(hash, vector);
+                lines.push(JSON.stringify({ h: hash, v: vector }));
+            }
+            if (lines.length === 0) return;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.appendFile(fileFor(modelKey), lines.join("\n") + "\n");
+        }
+    };
+}
+
+// Reads a JSON cache entry, or null if it does not exist
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+}
+
+// Writes through a temp file so readers never see a partial entry
+async function writeJson(file, value) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(value));
+    await fs.rename(`${file}.tmp`, file);
+}
+
+// Extracted page texts keyed by the SHA-256 of the uploaded file, so a known
+// document skips parsing and is reported as a cache hit
+export function createExtractionCache({ dir }) {
+    const fileFor = fingerprint => path.join(dir, `${fingerprint}.json`);
+
+    return {
+        get: fingerprint => readJson(fileFor(fingerprint)),
+        set: (fingerprint, extraction) => writeJson(fileFor(fingerprint), extraction)
+    };
+}
+
+// Document summaries keyed by file fingerprint, summary mode and chat model,
+// so each document is only summarized once per mode
+export function createSummaryCache({ dir }) {
+    const fileFor = (fingerprint, mode, modelKey) => path.join(dir, `${sha256(`${fingerprint}:${mode}:${modelKey}`)}.json`);
+
+    return {
+        get: (fingerprint, mode, modelKey) => readJson(fileFor(fingerprint, mode, modelKey)),
+        set: (fingerprint, mode, modelKey, summary) => writeJson(fileFor(fingerprint, mode, modelKey), summary)
+    };
+}
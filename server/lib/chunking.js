@@ -0,0 +1,290 @@
+import { normalizeText } from "./text.js";
+
+export const CHUNKING_STRATEGIES = ["auto", "paragraph", "heading", "numbered", "fixed"];
+
+const DEFAULT_CHUNK_SIZE = Number(process.env.CHUNK_SIZE_TOKENS) || 250;
+const DEFAULT_CHUNK_OVERLAP = Number(process.env.CHUNK_OVERLAP_TOKENS) || 40;
+
+const NUMBERED_ITEM = /^\s*(?:Q\.?\s*)?\d{1,3}\s*[.)]\s+\S/i;
+const OPTION_LINE = /^\s*\(?[a-hA-H]\)\s*\S/;
+
+// Rough token estimate: words and numbers count as one token each, runs of
+// the same punctuation character ("......") as one more
+export function countTokens(text) {
+    return (text.match(/[\p{L}\p{N}]+|([^\s\p{L}\p{N}])\1*/gu) || []).length;
+}
+
+function isHeading(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 80) return false;
+    if (/^#{1,6}\s+\S/.test(trimmed)) return true;
+    if (/^(section|chapter|part|unit)\b/i.test(trimmed) && trimmed.split(/\s+/).length <= 8) return true;
+    if (/^\d+(\.\d+)+\s+\p{Lu}/u.test(trimmed)) return true;
+    if (NUMBERED_ITEM.test(trimmed) || OPTION_LINE.test(trimmed)) return false;
+    if (/[.,;:?!]$/.test(trimmed)) return false;
+
+    const letters = trimmed.replace(/[^\p{L}]/gu, "");
+    if (letters.length >= 3 && letters === letters.toUpperCase()) return true;
+
+    const words = trimmed.split(/\s+/).filter(w => /\p{L}/u.test(w));
+    if (words.length === 0 || words.length > 8) return false;
+    const capitalized = words.filter(w => /^\P{L}*\p{Lu}/u.test(w)).length;
+    return capitalized / words.length >= 0.75;
+}
+
+// Split normalized pages into lines tagged with their 1-based page number
+function toLines(pages) {
+    const lines = [];
+    pages.forEach((pageText, i) => {
+        for (const text of normalizeText(pageText).split("\n")) {
+            lines.push({ text, page: i + 1 });
+        }
+    });
+    return lines;
+}
+
+// Units keep their lines so oversized ones can be split by page
+function makeUnit(lines, extra = {}) {
+    const kept = lines.filter(l => l.text.trim());
+    const text = kept.map(l => l.text.trim()).join("\n");
+    return {
+        text,
+        tokens: countTokens(text),
+        page_start: lines[0].page,
+        page_end: lines[lines.length - 1].page,
+        lines: kept,
+        ...extra
+    };
+}
+
+// Group consecutive lines into units, starting a new unit wherever
+// `startsUnit(line)` says so and dropping blank-line separators
+function groupLines(lines, startsUnit, unitExtra = () => ({})) {
+    const units = [];
+    let current = [];
+    const flush = () => {
+        if (current.some(l => l.text.trim())) units.push(makeUnit(current, unitExtra(current)));
+        current = [];
+    };
+    for (const line of lines) {
+        if (startsUnit(line, current)) flush();
+        if (line.text.trim() || current.length) current.push(line);
+    }
+    flush();
+    return units;
+}
+
+function paragraphUnits(lines) {
+    const units = [];
+    let current = [];
+    const flush = () => {
+        if (current.length) units.push(makeUnit(current));
+        current = [];
+    };
+    for (const line of lines) {
+        if (!line.text.trim()) flush();
+        else current.push(line);
+    }
+    flush();
+    return units;
+}
+
+// Each heading starts a hard break; the units under it remember the heading
+// so chunks that begin mid-section can be prefixed with it
+function headingUnits(lines) {
+    const units = [];
+    let heading = null;
+    let body = [];
+    const flushBody = () => {
+        for (const unit of paragraphUnits(body)) units.push({ ...unit, heading });
+        body = [];
+    };
+    for (const line of lines) {
+        if (isHeading(line.text)) {
+            flushBody();
+            heading = line.text.trim();
+            units.push({ ...makeUnit([line]), heading, isHeading: true, breakBefore: true });
+        } else {
+            body.push(line);
+        }
+    }
+    flushBody();
+    return units;
+}
+
+// Keeps "1. question ... (a) (b) (c) (d)" together as one unit. Headings and
+// instruction lines ("Fill in the blanks :") end the current item.
+function numberedUnits(lines) {
+    let heading = null;
+    const units = groupLines(
+        lines,
+        line => {
+            const trimmed = line.text.trim();
+            if (!trimmed) return false;
+            return NUMBERED_ITEM.test(trimmed) || isHeading(trimmed) ||
+                (trimmed.endsWith(":") && !OPTION_LINE.test(trimmed));
+        },
+        current => {
+            const first = current.find(l => l.text.trim()).text.trim();
+            if (isHeading(first)) {
+                heading = first;
+                return { heading, isHeading: true, breakBefore: true };
+            }
+            return { heading };
+        }
+    );
+    return units;
+}
+
+function wordUnits(lines) {
+    const units = [];
+    for (const line of lines) {
+        for (const word of line.text.split(/\s+/).filter(Boolean)) {
+            units.push(makeUnit([{ text: word, page: line.page }]));
+        }
+    }
+    return units;
+}
+
+// Break units larger than the chunk size into sentences, then into word
+// windows if a single sentence is still too long. Sentences never span
+// lines, so each piece is on its line's page.
+function splitOversized(unit, chunkSize) {
+    if (unit.tokens <= chunkSize) return [unit];
+
+    const pieces = [];
+    const addPiece = (text, tokens, page) => pieces.push({
+        ...unit, text, tokens, page_start: page, page_end: page, isHeading: false, breakBefore: false
+    });
+    for (const line of unit.lines) {
+        for (const sentence of line.text.trim().split(/(?<=[.!?])\s+/).filter(s => s.trim())) {
+            const tokens = countTokens(sentence);
+            if (tokens <= chunkSize) {
+                addPiece(sentence, tokens, line.page);
+                continue;
+            }
+            const words = sentence.split(/\s+/);
+            let window = [];
+            let windowTokens = 0;
+            for (const word of words) {
+                const wordTokens = countTokens(word);
+                if (windowTokens + wordTokens > chunkSize && window.length) {
+                    addPiece(window.join(" "), windowTokens, line.page);
+                    window = [];
+                    windowTokens = 0;
+                }
+                window.push(word);
+                windowTokens += wordTokens;
+            }
+            if (window.length) addPiece(window.join(" "), windowTokens, line.page);
+        }
+    }
+    if (pieces.length) pieces[0].breakBefore = unit.breakBefore;
+    return pieces;
+}
+
+function buildChunk(units) {
+    const first = units[0];
+    let text = units.map(u => u.text).join("\n");
+    if (first.heading && !first.isHeading) text = `${first.heading}\n${text}`;
+    return {
+        text: normalizeText(text),
+        page_start: Math.min(...units.map(u => u.page_start)),
+        page_end: Math.max(...units.map(u => u.page_end))
+    };
+}
+
+// Greedily pack units into chunks of at most `chunkSize` tokens. When a chunk
+// fills up, its trailing units (up to `overlap` tokens) are repeated at the
+// start of the next one; hard breaks (headings) never carry overlap, and a
+// run of consecutive headings stays together with the body that follows.
+function packUnits(units, { chunkSize, overlap }) {
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+
+    const flush = () => {
+        if (current.length) {
+            const chunk = buildChunk(current);
+            if (chunk.text) chunks.push(chunk);
+        }
+    };
+
+    for (const unit of units.flatMap(u => splitOversized(u, chunkSize))) {
+        if (unit.breakBefore && current.some(u => !u.isHeading)) {
+            flush();
+            current = [];
+            tokens = 0;
+        } else if (tokens + unit.tokens > chunkSize && current.length) {
+            flush();
+            const carry = [];
+            let carryTokens = 0;
+            for (let i = current.length - 1; i > 0; i--) {
+                if (current[i].isHeading || carryTokens + current[i].tokens > overlap) break;
+                carry.unshift(current[i]);
+                carryTokens += current[i].tokens;
+            }
+            current = carry;
+            tokens = carryTokens;
+        }
+        current.push(unit);
+        tokens += unit.tokens;
+    }
+    flush();
+    return chunks;
+}
+
+// Picks the strategy matching the document's structure: worksheets with
+// several numbered items, outlines with headings, plain prose otherwise
+function detectStrategy(lines) {
+    const numbered = lines.filter(l => NUMBERED_ITEM.test(l.text)).length;
+    if (numbered >= 3) return "numbered";
+    const headings = lines.filter(l => isHeading(l.text)).length;
+    if (headings >= 2) return "heading";
+    return "paragraph";
+}
+
+const UNIT_BUILDERS = {
+    paragraph: paragraphUnits,
+    heading: headingUnits,
+    numbered: numberedUnits,
+    fixed: wordUnits
+};
+
+// Chunk page texts with the given strategy. Returns { strategy, chunkSize,
+// overlap, chunks } where each chunk is { text, page_start, page_end } and
+// `strategy` is the one actually applied (resolved when "auto").
+export function chunkPages(pages, options = {}) {
+    const chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+    const overlap = options.overlap ?? DEFAULT_CHUNK_OVERLAP;
+    const lines = toLines(pages);
+    const strategy = !options.strategy || options.strategy === "auto"
+        ? detectStrategy(lines)
+        : options.strategy;
+
+    const units = UNIT_BUILDERS[strategy](lines);
+    return { strategy, chunkSize, overlap, chunks: packUnits(units, { chunkSize, overlap }) };
+}
+
+// Parse the `chunking` upload option: either a bare strategy name or a JSON
+// object { strategy, chunkSize, overlap }. Throws on invalid input.
+export function parseChunkingOption(raw) {
+    if (raw == null || raw === "") return {};
+
+    let options = raw;
+    if (typeof raw === "string") {
+        options = raw.trim().startsWith("{") ? JSON.parse(raw) : { strategy: raw.trim() };
+    }
+
+    const { strategy, chunkSize, overlap } = options;
+    if (strategy !== undefined && !CHUNKING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown chunking strategy "${strategy}" (expected one of: ${CHUNKING_STRATEGIES.join(", ")})`);
+    }
+    if (chunkSize !== undefined && !(Number.isInteger(chunkSize) && chunkSize >= 20 && chunkSize <= 2000)) {
+        throw new Error("chunkSize must be an integer between 20 and 2000 tokens");
+    }
+    if (overlap !== undefined && !(Number.isInteger(overlap) && overlap >= 0 && overlap < (chunkSize ?? DEFAULT_CHUNK_SIZE))) {
+        throw new Error("overlap must be a non-negative integer smaller than chunkSize");
+    }
+    return { strategy, chunkSize, overlap };
+}
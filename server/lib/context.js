@@ -0,0 +1,113 @@
+import { countTokens } from "./chunking.js";
+import { tokenize } from "./lexical.js";
+
+export const MAX_TOP_K = 20;
+
+const DEFAULT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 1500;
+const DEFAULT_NEIGHBORS = Number(process.env.CONTEXT_NEIGHBORS ?? 1);
+const DEFAULT_MMR_LAMBDA = Number(process.env.MMR_LAMBDA) || 0.7;
+
+// Validate a client-supplied topK: non-numbers are rejected, numbers are
+// clamped to 1..MAX_TOP_K. Returns null when invalid.
+export function clampTopK(value, fallback = 4) {
+    if (value === undefined || value === null) return fallback;
+    const n = Number(value);
+    if (typeof value === "boolean" || !Number.isFinite(n)) return null;
+    return Math.min(MAX_TOP_K, Math.max(1, Math.round(n)));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+// Maximal marginal relevance over ranked candidates: repeatedly pick the
+// candidate with the best trade-off between its retrieval score and its
+// overlap with chunks already picked. Text overlap (Jaccard over tokens)
+// stands in for vector similarity since stores don't return vectors.
+export function selectWithMMR(candidates, { k, lambda = DEFAULT_MMR_LAMBDA }) {
+    if (candidates.length <= 1) return candidates.slice(0, k);
+
+    const maxScore = Math.max(...candidates.map(c => c.score || 0)) || 1;
+    const pool = candidates.map(c => ({
+        candidate: c,
+        relevance: (c.score || 0) / maxScore,
+        tokens: new Set(tokenize(c.metadata.text || ""))
+    }));
+
+    const selected = [];
+    while (selected.length < k && pool.length > 0) {
+        let bestIndex = 0;
+        let bestValue = -Infinity;
+        pool.forEach((item, i) => {
+            const redundancy = Math.max(0, ...selected.map(s => jaccard(item.tokens, s.tokens)));
+            const value = lambda * item.relevance - (1 - lambda) * redundancy;
+            if (value > bestValue) {
+                bestValue = value;
+                bestIndex = i;
+            }
+        });
+        selected.push(pool.splice(bestIndex, 1)[0]);
+    }
+    return selected.map(s => s.candidate);
+}
+
+// Turn over-fetched candidates into the final context: MMR-select `topK`
+// chunks, optionally add up to `neighbors` adjacent chunks on each side (by
+// chunk_index, via fetchNeighbors), and pack them in relevance order until
+// `tokenBudget` is used. Neighbors sit next to the chunk they extend.
+// Returns { chunks, tokens } where neighbor chunks carry `neighbor_of`.
+export async function assembleContext(candidates, {
+    topK,
+    useMMR = true,
+    lambda = DEFAULT_MMR_LAMBDA,
+    neighbors = DEFAULT_NEIGHBORS,
+    tokenBudget = DEFAULT_TOKEN_BUDGET,
+    fetchNeighbors
+}) {
+    const selected = useMMR ? selectWithMMR(candidates, { k: topK, lambda }) : candidates.slice(0, topK);
+
+    // Selected chunks can also serve as each other's neighbors
+    const selectedIds = new Set(selected.map(s => s.id));
+    const byPosition = new Map();
+    if (neighbors > 0) {
+        const fetched = fetchNeighbors ? await fetchNeighbors(selected, neighbors) : [];
+        for (const chunk of [...selected, ...fetched]) {
+            byPosition.set(`${chunk.metadata.document_id}:${chunk.metadata.chunk_index}`, chunk);
+        }
+    }
+
+    const included = new Set();
+    const chunks = [];
+    let tokens = 0;
+
+    const tryAdd = chunk => {
+        const cost = countTokens(chunk.metadata.text || "");
+        // Always keep the best chunk, even if it alone exceeds the budget
+        if (included.size > 0 && tokens + cost > tokenBudget) return false;
+        included.add(chunk.id);
+        tokens += cost;
+        return true;
+    };
+
+    for (const match of selected) {
+        // Skip matches already pulled in as another match's neighbor
+        if (included.has(match.id) || !tryAdd(match)) continue;
+        const group = [match];
+        const { document_id, chunk_index } = match.metadata;
+        for (let offset = 1; offset <= neighbors; offset++) {
+            for (const index of [chunk_index - offset, chunk_index + offset]) {
+                const neighbor = byPosition.get(`${document_id}:${index}`);
+                if (neighbor && !included.has(neighbor.id) && tryAdd(neighbor)) {
+                    group.push(selectedIds.has(neighbor.id) ? neighbor : { ...neighbor, neighbor_of: match.id });
+                }
+            }
+        }
+        group.sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index);
+        chunks.push(...group);
+    }
+
+    return { chunks, tokens };
+}
@@ -0,0 +1,48 @@
+const MAX_HISTORY_TURNS = Number(process.env.HISTORY_MAX_TURNS) || 6;
+const MAX_TURN_CHARS = 1000;
+
+// Validate and bound client-supplied conversation turns. Accepts
+// [{ role: "user" | "assistant", text }] and keeps only the most recent
+// turns, each truncated, so the prompt size stays predictable.
+// Returns null when the input is malformed.
+export function normalizeHistory(history, maxTurns = MAX_HISTORY_TURNS) {
+    if (history === undefined || history === null) return [];
+    if (!Array.isArray(history)) return null;
+
+    const turns = [];
+    for (const turn of history) {
+        if (!turn || !["user", "assistant"].includes(turn.role)) return null;
+        const text = turn.text ?? turn.content;
+        if (typeof text !== "string") return null;
+        if (text.trim()) turns.push({ role: turn.role, text: text.trim().slice(0, MAX_TURN_CHARS) });
+    }
+    return turns.slice(-maxTurns);
+}
+
+export function formatHistory(turns) {
+    return turns
+        .map(turn => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.text}`)
+        .join("\n");
+}
+
+// Prompt asking the model to turn a follow-up into a self-contained search
+// query. Ends with "Standalone question:" so the answer is just the query.
+export function buildRewritePrompt(turns, question) {
+    return [
+        "Rewrite the follow-up question so it can be understood without the conversation, resolving pronouns and references like \"the second one\" from the conversation. Keep it short, keep any question numbers, names and terms exactly as written, and do not answer it. If it is already standalone, return it unchanged.",
+        "",
+        "Conversation:",
+        formatHistory(turns),
+        "",
+        `Follow-up question: ${question}`,
+        "Standalone question:"
+    ].join("\n");
+}
+
+// Accept the model's rewrite only if it looks like a single question rather
+// than an answer or a refusal
+export function pickRewrittenQuestion(output, question) {
+    const rewritten = (output || "").trim().split("\n")[0].replace(/^["']|["']$/g, "").trim();
+    if (!rewritten || rewritten.length > Math.max(300, question.length * 4)) return question;
+    return rewritten;
+}
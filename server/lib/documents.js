@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+// Original uploaded files, kept for as long as their session holds the
+// document so clients can show the source next to an answer. Files live in
+// one directory per session under `dir`, named by document ID plus the
+// extension of their format (".pdf" unless given).
+export function createDocumentStore({ dir }) {
+    function sessionDir(sessionId) {
+        const name = crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 32);
+        return path.join(dir, name);
+    }
+
+    function fileFor(sessionId, documentId, extension) {
+        if (!DOCUMENT_ID_PATTERN.test(documentId)) return null;
+        return path.join(sessionDir(sessionId), `${documentId}${extension}`);
+    }
+
+    return {
+        // Moves an uploaded temp file into the store
+        async save(sessionId, documentId, sourcePath, extension = ".pdf") {
+            const target = fileFor(sessionId, documentId, extension);
+            if (!target) throw new Error(`Invalid document ID: ${documentId}`);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fs.rename(sourcePath, target);
+            } catch (err) {
+                if (err.code !== "EXDEV") throw err;
+                // uploads/ and the data directory are on different devices
+                await fs.copyFile(sourcePath, target);
+                await fs.unlink(sourcePath);
+            }
+        },
+
+        // Absolute path of a stored file, or null if it is not available
+        async locate(sessionId, documentId, extension = ".pdf") {
+            const target = fileFor(sessionId, documentId, extension);
+            if (!target) return null;
+            try {
+                await fs.access(target);
+                return target;
+            } catch {
+                return null;
+            }
+        },
+
+        async remove(sessionId, documentId, extension = ".pdf") {
+            const target = fileFor(sessionId, documentId, extension);
+            if (target) await fs.rm(target, { force: true });
+        },
+
+        async removeSession(sessionId) {
+            await fs.rm(sessionDir(sessionId), { recursive: true, force: true });
+        }
+    };
+}
+
+// Deletes files in the multer upload directory that are older than
+// `olderThanMs` and not in `keep` (uploads still waiting for their ingestion
+// job). Such files are left behind when a request fails before its job
+// takes the file over. Returns the number of files removed.
+export async function removeOrphanUploads({ dir, olderThanMs, keep = new Set() }) {
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch (err) {
+        if (err.code === "ENOENT") return 0;
+        throw err;
+    }
+    const cutoff = Date.now() - olderThanMs;
+    let removed = 0;
+    for (const name of names) {
+        const filePath = path.join(dir, name);
+        if (name.startsWith(".") || keep.has(filePath)) continue;
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats?.isFile() || stats.mtimeMs > cutoff) continue;
+        await fs.rm(filePath, { force: true });
+        removed++;
+    }
+    return removed;
+}
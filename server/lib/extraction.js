@@ -0,0 +1,303 @@
+import { logger } from "./logger.js";
+
+export const EXTRACTION_MODES = ["question_bank", "schema"];
+
+const SCHEMA_TYPES = ["object", "array", "string", "number", "integer", "boolean", "null"];
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Compiled `pattern` keywords by schema node, so retries reuse them
+const compiledPatterns = new WeakMap();
+
+export class ExtractionError extends Error {
+    constructor(message, { errors = [], attempts = 0, raw = null } = {}) {
+        super(message);
+        this.name = "ExtractionError";
+        this.errors = errors;
+        this.attempts = attempts;
+        this.raw = raw;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+function patternFor(schema) {
+    if (!compiledPatterns.has(schema)) compiledPatterns.set(schema, new RegExp(schema.pattern, "u"));
+    return compiledPatterns.get(schema);
+}
+
+// Whether a quantifier at the start of `rest` repeats what it follows more
+// than once: "*", "+", "{n,}", "{n,m}", or "{n}" for n over one
+function isRepeating(rest) {
+    const brace = rest.match(/^\{(\d+)(,\d*)?\}/);
+    return /^[*+]/.test(rest) || Boolean(brace && (brace[2] || Number(brace[1]) > 1));
+}
+
+// Whether matching a pattern can backtrack catastrophically: a repeated
+// group that itself repeats or alternates, as in "(a+)+", "(a{1,}){2,}",
+// "(a+){10}" or "(a|ab)*", or a backreference
+function isUnsafePattern(pattern) {
+    const groups = [{ repeats: false }];
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "\\") {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1] || "")) return true;
+            i++;
+        } else if (inClass) {
+            if (char === "]") inClass = false;
+        } else if (char === "[") {
+            inClass = true;
+        } else if (char === "(") {
+            groups.push({ repeats: false });
+        } else if (char === ")" && groups.length > 1) {
+            const group = groups.pop();
+            const rest = pattern.slice(i + 1);
+            if (group.repeats && isRepeating(rest)) return true;
+            // A fixed count such as "(ab){3}" still matches one way only
+            if (group.repeats || /^(?:[*+]|\{\d+,\d*\})/.test(rest)) groups[groups.length - 1].repeats = true;
+        } else if ("*+|".includes(char) || (char === "?" && pattern[i - 1] !== "(") || /^\{\d+,/.test(pattern.slice(i))) {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return false;
+}
+
+// Checks `value` against the subset of JSON Schema that extraction
+// supports: type, enum, const, properties, required, additionalProperties,
+// items, minItems/maxItems, minLength/maxLength, pattern, minimum/maximum
+// and anyOf. Returns a list of "path: problem" strings (empty when valid).
+export function validateAgainstSchema(value, schema, at = "$") {
+    const errors = [];
+    if (!schema || typeof schema !== "object") return errors;
+
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => validateAgainstSchema(value, branch, at));
+        if (!branches.some(branchErrors => branchErrors.length === 0)) {
+            errors.push(`${at}: does not match any of the allowed schemas`);
+        }
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+    }
+    if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !patternFor(schema).test(value)) {
+            errors.push(`${at}: must match /${schema.pattern}/`);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+        }
+        const properties = schema.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(item, properties[key], `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === "object") {
+                errors.push(...validateAgainstSchema(item, schema.additionalProperties, `${at}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Rejects caller schemas the validator cannot enforce, so a typo doesn't
+// silently accept anything. Returns an error message or null.
+export function checkSchema(schema, at = "$") {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) return `${at}: schema must be an object`;
+    const types = schema.type === undefined ? [] : Array.isArray(schema.type) ? schema.type : [schema.type];
+    const unknown = types.find(type => !SCHEMA_TYPES.includes(type));
+    if (unknown !== undefined) return `${at}: unsupported type ${JSON.stringify(unknown)}`;
+    for (const keyword of ["anyOf", "enum", "required"]) {
+        if (schema[keyword] !== undefined && !Array.isArray(schema[keyword])) return `${at}: ${keyword} must be an array`;
+    }
+    if (at === "$" && !types.length && !schema.properties && !schema.anyOf) {
+        return "$: schema needs a type, properties or anyOf";
+    }
+    if (schema.pattern !== undefined) {
+        if (typeof schema.pattern !== "string" || schema.pattern.length > MAX_PATTERN_LENGTH) {
+            return `${at}: pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`;
+        }
+        try {
+            patternFor(schema);
+        } catch (err) {
+            return `${at}: invalid pattern (${err.message})`;
+        }
+        if (isUnsafePattern(schema.pattern)) {
+            return `${at}: pattern may be too slow to match; avoid repeating a group that repeats or alternates, and backreferences`;
+        }
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+        const problem = checkSchema(child, `${at}.${key}`);
+        if (problem) return problem;
+    }
+    if (typeof schema.additionalProperties === "object") {
+        const problem = checkSchema(schema.additionalProperties, `${at}.*`);
+        if (problem) return problem;
+    }
+    if (schema.items) return checkSchema(schema.items, `${at}[]`);
+    for (const branch of schema.anyOf || []) {
+        const problem = checkSchema(branch, at);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+// Pulls the JSON value out of a model reply, tolerating code fences and
+// prose around it. Throws if nothing parses.
+export function parseJsonReply(reply) {
+    const unfenced = reply.replace(/^[\s\S]*?```(?:json)?\s*([\s\S]*?)```[\s\S]*$/i, "$1").trim();
+    try {
+        return JSON.parse(unfenced);
+    } catch {
+        const start = unfenced.search(/[[{]/);
+        const end = Math.max(unfenced.lastIndexOf("}"), unfenced.lastIndexOf("]"));
+        if (start === -1 || end <= start) throw new Error("Reply does not contain JSON");
+        return JSON.parse(unfenced.slice(start, end + 1));
+    }
+}
+
+function buildExtractionPrompt({ text, schema, instructions }) {
+    return `Extract structured data from the document below.
+Reply with a single JSON value only, with no prose or code fences, matching this JSON Schema:
+${JSON.stringify(schema, null, 2)}
+${instructions ? `\nAdditional instructions: ${instructions}\n` : ""}
+Use only information found in the document. Use null for optional values the document does not provide.
+
+Document:
+${text}`;
+}
+
+// Asks the model for JSON matching `schema`, validating each reply and
+// retrying with the validation errors until it conforms or `maxAttempts`
+// replies have failed. Resolves to { data, attempts }. Callers with their
+// own task can pass a full `prompt` instead of `text`, and a `validate`
+// function returning further errors for data that fits the schema. Throws
+// before calling the model if the schema itself is invalid.
+export async function extractWithSchema({ generate, text, schema, instructions, prompt: taskPrompt, validate = () => [], maxAttempts = 3 }) {
+    const problem = checkSchema(schema);
+    if (problem) throw new Error(`Invalid schema: ${problem}`);
+    const basePrompt = taskPrompt || buildExtractionPrompt({ text, schema, instructions });
+    let prompt = basePrompt;
+    let errors = [];
+    let reply = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        reply = await generate(prompt);
+        let data;
+        try {
+            data = parseJsonReply(reply);
+        } catch (parseError) {
+            errors = [`reply is not valid JSON: ${parseError.message}`];
+        }
+        if (data !== undefined) {
+            errors = validateAgainstSchema(data, schema);
+            if (errors.length === 0) errors = validate(data);
+        }
+        if (errors.length === 0) return { data, attempts: attempt };
+
+        logger.debug("Extraction attempt failed validation", { attempt, errors: errors.slice(0, 3) });
+        prompt = `${basePrompt}
+
+Your previous reply was:
+${reply}
+
+It is invalid:
+${errors.slice(0, 20).map(error => `- ${error}`).join("\n")}
+
+Reply again with corrected JSON only.`;
+    }
+
+    throw new ExtractionError(`Model output did not match the schema after ${maxAttempts} attempts`, {
+        errors,
+        attempts: maxAttempts,
+        raw: reply
+    });
+}
+
+// Rows for CSV export of a schema extraction: the first top-level array of
+// objects if there is one, otherwise the value itself as a single row
+export function extractionRows(data) {
+    if (Array.isArray(data)) return data;
+    if (data && typeof data === "object") {
+        const list = Object.values(data).find(value => Array.isArray(value) && value.every(item => item && typeof item === "object"));
+        if (list) return list;
+    }
+    return [data];
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a header row. Nested objects are flattened into
+// dotted columns; arrays are written as JSON.
+export function toCsv(rows) {
+    const flatRows = rows.map(row => {
+        if (!row || typeof row !== "object" || Array.isArray(row)) return { value: row };
+        const flat = {};
+        const walk = (object, prefix) => {
+            for (const [key, value] of Object.entries(object)) {
+                if (value && typeof value === "object" && !Array.isArray(value)) walk(value, `${prefix}${key}.`);
+                else flat[`${prefix}${key}`] = value;
+            }
+        };
+        walk(row, "");
+        return flat;
+    });
+    const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+    const lines = [columns.map(csvCell).join(",")];
+    for (const row of flatRows) lines.push(columns.map(column => csvCell(row[column])).join(","));
+    return lines.join("\r\n") + "\r\n";
+}
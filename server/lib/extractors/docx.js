@@ -0,0 +1,106 @@
+import { decodeEntities } from "./html.js";
+import { readZip } from "./zip.js";
+
+const TAG_PATTERN = /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+function attribute(attributes, name) {
+    const match = attributes.match(new RegExp(`${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+// Heading level (1-6) for each paragraph style ID, from the style's name
+// ("heading 2", "Title") or its outline level, so localized style IDs work
+function headingStyles(stylesXml) {
+    const levels = new Map();
+    for (const [, attributes, body] of stylesXml.matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+        const id = attribute(attributes, "w:styleId");
+        const name = (body.match(/<w:name w:val="([^"]*)"/)?.[1] || "").toLowerCase();
+        const outline = body.match(/<w:outlineLvl w:val="(\d)"/)?.[1];
+        const named = name.match(/^heading (\d)$/);
+        const level = name === "title" ? 1 : named ? Number(named[1]) : outline !== undefined ? Number(outline) + 1 : null;
+        if (id && level && level <= 6) levels.set(id, level);
+    }
+    return levels;
+}
+
+// Text of a Word (.docx) document's body. Paragraphs are separated by blank
+// lines, headings become "#" lines, list paragraphs "- " lines and table
+// rows their cells joined with " | ". Tabs and line breaks are kept.
+export function extractDocx(buffer) {
+    const zip = readZip(buffer);
+    const documentXml = zip?.read("word/document.xml");
+    if (!documentXml) throw new Error("Not a Word document: word/document.xml is missing");
+    const stylesXml = zip.read("word/styles.xml");
+    const styles = stylesXml ? headingStyles(stylesXml.toString("utf8")) : new Map();
+
+    const blocks = [];
+    // Paragraphs can nest (text boxes) and tables can hold tables, so each
+    // open paragraph, row and cell lives on a stack
+    const paragraphs = [];
+    const rows = [];
+    let inText = false;
+
+    const emit = text => {
+        const row = rows[rows.length - 1];
+        if (row) row.cell.push(text);
+        else blocks.push(text);
+    };
+
+    for (const [, closing, tag, attributes, selfClosing, text] of documentXml.toString("utf8").matchAll(TAG_PATTERN)) {
+        const paragraph = paragraphs[paragraphs.length - 1];
+        if (text !== undefined) {
+            if (inText && paragraph) paragraph.text += decodeEntities(text);
+            continue;
+        }
+        if (closing) {
+            if (tag === "w:t") inText = false;
+            else if (tag === "w:p" && paragraphs.length) {
+                const done = paragraphs.pop();
+                const body = done.text.trim();
+                if (!body) continue;
+                if (done.heading) emit(`${"#".repeat(done.heading)} ${body.replace(/\s+/g, " ")}`);
+                else emit(done.list ? `- ${body}` : body);
+            } else if (tag === "w:tc" && rows.length) {
+                const row = rows[rows.length - 1];
+                row.cells.push(row.cell.join(" ").replace(/\s+/g, " ").trim());
+                row.cell = [];
+            } else if (tag === "w:tr" && rows.length) {
+                const row = rows.pop();
+                const line = row.cells.filter(Boolean).join(" | ");
+                if (line) emit(line);
+            }
+            continue;
+        }
+
+        switch (tag) {
+            case "w:p":
+                if (!selfClosing) paragraphs.push({ text: "", heading: null, list: false });
+                break;
+            case "w:pStyle":
+                if (paragraph) paragraph.heading = styles.get(attribute(attributes, "w:val")) || paragraph.heading;
+                break;
+            case "w:outlineLvl": {
+                const level = Number(attribute(attributes, "w:val")) + 1;
+                if (paragraph && level <= 6) paragraph.heading = level;
+                break;
+            }
+            case "w:numPr":
+                if (paragraph) paragraph.list = true;
+                break;
+            case "w:t":
+                inText = !selfClosing;
+                break;
+            case "w:tab":
+                if (paragraph && !attributes.includes("w:val")) paragraph.text += "\t";
+                break;
+            case "w:br":
+            case "w:cr":
+                if (paragraph) paragraph.text += "\n";
+                break;
+            case "w:tr":
+                if (!selfClosing) rows.push({ cells: [], cell: [] });
+                break;
+        }
+    }
+    return blocks.join("\n\n");
+}
@@ -0,0 +1,52 @@
+// Named character references common in documents; numeric ones are decoded
+// generically
+const NAMED_ENTITIES = {
+    amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", shy: "",
+    ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+    laquo: "«", raquo: "»", bull: "•", middot: "·", sect: "§", para: "¶",
+    copy: "©", reg: "®", trade: "™", deg: "°", times: "×", divide: "÷", plusmn: "±",
+    frac12: "½", frac14: "¼", frac34: "¾", sup2: "²", sup3: "³",
+    euro: "€", pound: "£", yen: "¥", cent: "¢"
+};
+
+const BLOCK_TAGS = "address|article|aside|blockquote|dd|div|dl|dt|figcaption|figure|footer|form|header|hr|li|main|nav|ol|p|pre|section|table|tbody|thead|tfoot|tr|ul";
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+        if (name[0] === "#") {
+            const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, "");
+}
+
+// Text of an HTML page: headings become "#" lines, list items "- " lines
+// and table cells are joined with " | ". Scripts, styles and the <head> are
+// dropped, and whitespace is collapsed except for line breaks inside <pre>.
+export function extractHtml(buffer) {
+    let html = buffer.toString("utf8")
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1\s*>/gi, "");
+
+    // Keep <pre> line breaks through the whitespace collapse
+    html = html.split(/(<pre\b[\s\S]*?<\/pre\s*>)/i)
+        .map(part => /^<pre\b/i.test(part) ? part.replace(/\r?\n/g, "<br>") : part.replace(/\s+/g, " "))
+        .join("");
+
+    const text = html
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, inner) =>
+            `\n\n${"#".repeat(Number(level))} ${stripTags(inner).trim()}\n\n`)
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<li\b[^>]*>/gi, "\n- ")
+        .replace(/<\/t[dh]\s*>/gi, " | ")
+        .replace(new RegExp(`</?(?:${BLOCK_TAGS})\\b[^>]*>`, "gi"), "\n\n");
+
+    return decodeEntities(stripTags(text))
+        .replace(/[ \t]*\|[ \t]*$/gm, "")
+        .replace(/^[ \t]+/gm, "");
+}
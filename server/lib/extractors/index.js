@@ -0,0 +1,149 @@
+import path from "path";
+import { extractDocx } from "./docx.js";
+import { extractHtml } from "./html.js";
+import { extractMarkdown } from "./markdown.js";
+import { PageLimitError, countPdfPages, extractPdfPages } from "./pdf.js";
+import { ZipLimitError, isZip, readZip } from "./zip.js";
+
+// Every extractor turns a file's bytes into { pages, numPages } for the
+// chunker, where `unit` says what the entries of `pages` are:
+//   "page"    - page i + 1 of a paginated document (PDF, or text split by
+//               form feeds)
+//   "section" - the (i + 1)th section of a document without pages, split at
+//               its level 1 and 2 headings
+// Headings are written as Markdown "#" lines whatever the source format, so
+// every format reaches the chunker in the same shape. Paginated formats stop
+// with a PageLimitError when they have more than `options.maxPages` pages,
+// and can count their pages up front with `countPages`.
+export const EXTRACTORS = {
+    pdf: {
+        label: "PDF",
+        extension: ".pdf",
+        mimeType: "application/pdf",
+        extract: (buffer, options) => extractPdfPages(buffer, options),
+        countPages: buffer => countPdfPages(buffer)
+    },
+    docx: {
+        label: "Word document",
+        extension: ".docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        extract: buffer => toSections(extractDocx(buffer))
+    },
+    markdown: {
+        label: "Markdown",
+        extension: ".md",
+        mimeType: "text/markdown",
+        extract: buffer => toSections(extractMarkdown(buffer))
+    },
+    html: {
+        label: "HTML",
+        extension: ".html",
+        mimeType: "text/html",
+        extract: buffer => toSections(extractHtml(buffer))
+    },
+    text: {
+        label: "Text",
+        extension: ".txt",
+        mimeType: "text/plain",
+        extract: (buffer, { maxPages = 0 } = {}) => {
+            // A final form feed ends the last page rather than starting one
+            const text = buffer.toString("utf8").replace(/\f\s*$/, "");
+            if (!text.includes("\f")) return { pages: [text], numPages: 1, unit: "section" };
+            const pages = text.split("\f");
+            if (maxPages && pages.length > maxPages) throw new PageLimitError(pages.length, maxPages);
+            return { pages, numPages: pages.length, unit: "page" };
+        },
+        countPages: buffer => {
+            const text = buffer.toString("utf8").replace(/\f\s*$/, "");
+            return text.includes("\f") ? text.split("\f").length : null;
+        }
+    }
+};
+
+export const FILE_TYPES = Object.keys(EXTRACTORS);
+
+export { PageLimitError, ZipLimitError };
+
+const EXTENSION_TYPES = {
+    ".pdf": "pdf",
+    ".docx": "docx",
+    ".md": "markdown",
+    ".markdown": "markdown",
+    ".html": "html",
+    ".htm": "html",
+    ".txt": "text",
+    ".text": "text"
+};
+
+// Splits extracted text into sections at "#" and "##" headings. Text before
+// the first heading is a section of its own. Runs of blank lines left by
+// the extractors are collapsed to one.
+function toSections(text) {
+    const pages = [];
+    let current = [];
+    for (const line of text.replace(/[ \t]+$/gm, "").replace(/\n{3,}/g, "\n\n").trim().split("\n")) {
+        if (/^#{1,2}\s/.test(line) && current.some(l => l.trim())) {
+            pages.push(current.join("\n").trim());
+            current = [];
+        }
+        current.push(line);
+    }
+    if (current.some(l => l.trim()) || pages.length === 0) pages.push(current.join("\n").trim());
+    return { pages, numPages: pages.length, unit: "section" };
+}
+
+function isUtf8Text(buffer) {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// PDFs open with "%PDF-", after at most a byte order mark and whitespace.
+// The header is not searched for further in: text that merely mentions it is
+// not a PDF.
+function isPdf(buffer) {
+    let start = buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF ? 3 : 0;
+    while (start < buffer.length && [0x09, 0x0A, 0x0D, 0x20].includes(buffer[start])) start++;
+    return buffer.subarray(start, start + 5).toString("latin1") === "%PDF-";
+}
+
+// The file's type from its content, using the name only to tell text
+// formats apart: "pdf" and "docx" by signature, and Markdown, HTML or plain
+// text for UTF-8 files by extension (or an HTML doctype). Returns null for
+// anything unsupported.
+export function detectFileType(buffer, fileName = "") {
+    if (isPdf(buffer)) return "pdf";
+    if (isZip(buffer)) return readZip(buffer)?.has("word/document.xml") ? "docx" : null;
+    if (!isUtf8Text(buffer)) return null;
+
+    const byExtension = EXTENSION_TYPES[path.extname(fileName).toLowerCase()];
+    if (byExtension && byExtension !== "pdf" && byExtension !== "docx") return byExtension;
+    if (/^\s*(<!doctype html|<html[\s>])/i.test(buffer.subarray(0, 1024).toString("utf8"))) return "html";
+    return "text";
+}
+
+// Extracts a detected file type: { pages, numPages, unit }. `options` are
+// passed to the extractor ({ maxPages }).
+export async function extractDocument(type, buffer, options = {}) {
+    const extractor = EXTRACTORS[type];
+    if (!extractor) throw new Error(`Unsupported file type: ${type}`);
+    const { pages, numPages, unit = "page" } = await extractor.extract(buffer, options);
+    return { pages, numPages, unit };
+}
+
+// A paginated document's page count, read without extracting its text.
+// Null for formats without pages, and for files that cannot be read (their
+// ingestion job reports why).
+export async function countPages(type, buffer) {
+    const count = EXTRACTORS[type]?.countPages;
+    if (!count) return null;
+    try {
+        return await count(buffer);
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,72 @@
+import { decodeEntities } from "./html.js";
+
+// Inline Markdown reduced to its text: links and images to their label,
+// emphasis and code spans to their content, inline HTML tags dropped
+function stripInline(line) {
+    return line
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+        .replace(/`([^`]+)`/g, "$1")
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "$2")
+        .replace(/(^|[^\w*])([*_])(?=\S)([^*_]*?\S)\2(?![\w*])/g, "$1$3")
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1")
+        .replace(/<\/?[a-z][^>]*>/gi, "");
+}
+
+// Text of a Markdown document. ATX and setext headings become "#" lines;
+// list markers are normalized to "- ", table rows to cells joined by " | ",
+// and fenced code becomes an indented block so its lines never read as
+// headings. Front matter, rules, link
+// definitions and table separator rows are dropped.
+export function extractMarkdown(buffer) {
+    const lines = buffer.toString("utf8").replace(/\r\n?/g, "\n").split("\n");
+    const out = [];
+    let fence = null;
+    let i = 0;
+
+    if (lines[0] === "---") {
+        const close = lines.indexOf("---", 1);
+        if (close !== -1) i = close + 1;
+    }
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1] === fence) fence = null;
+            else out.push(`    ${line}`);
+            continue;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        const next = lines[i + 1];
+        if (line.trim() && next !== undefined && /^\s*(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+            out.push("", `${next.trim()[0] === "=" ? "#" : "##"} ${stripInline(line.trim())}`, "");
+            i++;
+            continue;
+        }
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) continue;
+        if (/^\s*\[[^\]]+\]:\s*\S/.test(line)) continue;
+        if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes("-") && line.includes("|")) continue;
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            out.push("", `${heading[1]} ${stripInline(heading[2])}`, "");
+            continue;
+        }
+
+        let text = line.replace(/^\s*(>\s?)+/, "");
+        if (/^\s*\|.*\|\s*$/.test(text)) {
+            text = text.trim().slice(1, -1).split("|").map(cell => cell.trim()).join(" | ");
+        }
+        text = text
+            .replace(/^(\s*)[*+-]\s+(\[[ xX]\]\s+)?/, "$1- ")
+            .replace(/^\s+/, "");
+        out.push(decodeEntities(stripInline(text)));
+    }
+    return out.join("\n");
+}
@@ -0,0 +1,64 @@
+import { createRequire } from "module";
+
+// The pdf.js build that pdf-parse bundles and loads by default. It is used
+// directly so the page count is known before any page is rendered.
+const require = createRequire(import.meta.url);
+const PDFJS = require("pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js");
+PDFJS.disableWorker = true;
+
+export class PageLimitError extends Error {
+    constructor(numPages, maxPages) {
+        super(`Document has ${numPages} pages; the limit is ${maxPages}.`);
+        this.name = "PageLimitError";
+        this.numPages = numPages;
+        this.maxPages = maxPages;
+    }
+}
+
+// Same line-joining as pdf-parse's default renderer, but we keep each page's
+// text separately instead of letting pdf-parse flatten the document
+function renderPageText(pageData) {
+    return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+            let lastY, text = "";
+            for (const item of textContent.items) {
+                if (lastY == item.transform[5] || !lastY) {
+                    text += item.str;
+                } else {
+                    text += "\n" + item.str;
+                }
+                lastY = item.transform[5];
+            }
+            return text;
+        });
+}
+
+// Extract text page by page. Returns { pages, numPages } where pages[i] is
+// the text of page i + 1 (an empty string for pages that fail to render).
+// With `maxPages`, a longer document throws PageLimitError as soon as it is
+// opened, before any text is extracted.
+export async function extractPdfPages(buffer, { maxPages = 0 } = {}) {
+    const doc = await PDFJS.getDocument(buffer);
+    try {
+        const { numPages } = doc;
+        if (maxPages && numPages > maxPages) throw new PageLimitError(numPages, maxPages);
+
+        const pages = [];
+        for (let i = 1; i <= numPages; i++) {
+            pages.push(await doc.getPage(i).then(renderPageText).catch(() => ""));
+        }
+        return { pages, numPages };
+    } finally {
+        doc.destroy();
+    }
+}
+
+// The document's page count, read without extracting any text
+export async function countPdfPages(buffer) {
+    const doc = await PDFJS.getDocument(buffer);
+    try {
+        return doc.numPages;
+    } finally {
+        doc.destroy();
+    }
+}
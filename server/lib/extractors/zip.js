@@ -0,0 +1,99 @@
+import zlib from "zlib";
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// Archives over these limits are refused before anything is inflated (zip
+// bombs): entries in the central directory, bytes per inflated entry and
+// bytes inflated from one archive in total
+const MAX_ENTRIES = 10000;
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 128 * 1024 * 1024;
+
+// Thrown for archives over a size or entry limit
+export class ZipLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ZipLimitError";
+    }
+}
+
+export function isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+// Minimal ZIP reader for Office documents: lists the central directory and
+// inflates single entries (stored or deflated; no ZIP64 or encryption).
+// Returns null when the buffer is not a readable archive, and throws a
+// ZipLimitError when it has more than `maxEntries` entries. Reads throw a
+// ZipLimitError for entries that would inflate past `maxEntryBytes`, or past
+// `maxTotalBytes` together with earlier reads.
+export function readZip(buffer, { maxEntries = MAX_ENTRIES, maxEntryBytes = MAX_ENTRY_BYTES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+    // The end-of-central-directory record sits in the last 22 bytes plus an
+    // optional comment of up to 64 KB
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) return null;
+
+    const count = buffer.readUInt16LE(end + 10);
+    if (count > maxEntries) throw new ZipLimitError(`Archive has ${count} entries; the limit is ${maxEntries}.`);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) return null;
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        if (offset + 46 + nameLength > buffer.length) return null;
+        const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+        entries.set(name, {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            headerOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    let inflated = 0;
+    return {
+        has: name => entries.has(name),
+
+        // The entry's contents as a Buffer, or null if it is missing
+        read(name) {
+            const entry = entries.get(name);
+            if (!entry) return null;
+            const header = entry.headerOffset;
+            if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+                throw new Error(`Corrupt ZIP entry: ${name}`);
+            }
+            const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+            if (start + entry.compressedSize > buffer.length) throw new Error(`Truncated ZIP entry: ${name}`);
+            const data = buffer.subarray(start, start + entry.compressedSize);
+            if (entry.method !== 0 && entry.method !== 8) {
+                throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+            }
+
+            // Check the declared size first, then hold the inflater to the
+            // limits in case the declaration is false
+            const limit = Math.min(maxEntryBytes, maxTotalBytes - inflated);
+            if (entry.size > limit || (entry.method === 0 && data.length > limit)) {
+                throw new ZipLimitError(`ZIP entry ${name} is too large to extract.`);
+            }
+            let contents = data;
+            if (entry.method === 8) {
+                try {
+                    contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(limit, 1) });
+                } catch (err) {
+                    if (err.code === "ERR_BUFFER_TOO_LARGE") throw new ZipLimitError(`ZIP entry ${name} is too large to extract.`);
+                    throw new Error(`Corrupt ZIP entry: ${name} (${err.message})`);
+                }
+            }
+            inflated += contents.length;
+            return contents;
+        }
+    };
+}
@@ -0,0 +1,116 @@
+import { tokenize } from "./lexical.js";
+
+// Share of a sentence's content words that must appear in the retrieved
+// context for the sentence to count as supported
+const DEFAULT_MIN_SUPPORT = 0.6;
+
+// Words that carry no claim of their own, so they don't count towards or
+// against a sentence's support
+const FUNCTION_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "been", "being", "but", "by", "can", "could", "did", "do", "does",
+    "for", "from", "had", "has", "have", "he", "her", "his", "how", "i", "if", "in", "into", "is", "it", "its",
+    "may", "might", "more", "most", "not", "of", "on", "or", "our", "she", "should", "so", "such", "than", "that",
+    "the", "their", "them", "then", "there", "these", "they", "this", "those", "to", "was", "we", "were", "what",
+    "when", "where", "which", "while", "who", "will", "with", "would", "you", "your", "also", "about", "each",
+    "both", "other", "some", "any", "all", "only", "very", "according", "document", "text", "passage", "states"
+]);
+
+// Answers that say the context has no answer make no claim to check
+const REFUSAL_PATTERN = /\b(can ?not|can't|could ?not|couldn't|unable to) (find|answer|determine)\b|\bno (relevant )?information\b|\bnot (contained|mentioned|covered|found|stated)\b|\bdoes not (say|mention|contain|state)\b/i;
+
+// Text in a document that tries to talk to the model rather than inform the
+// reader: attempts to override its instructions, change its role, fake
+// conversation turns or close the passage delimiters early
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,40}\b(previous|prior|above|earlier|preceding|all|any|your|the|these|system)\b[^.!?\n]{0,30}\b(instructions?|prompts?|rules|directions|guidelines|context)\b/i,
+    /\byou are (now|no longer)\b/i,
+    /\bfrom now on,? (you|the (assistant|model|ai))\b/i,
+    /\b(new|updated|real|actual) instructions?\s*:/i,
+    /\b(reveal|print|repeat|output|show|leak)\b[^.!?\n]{0,30}\b(system prompt|hidden prompt|your (instructions|prompt))\b/i,
+    /\bdo not (tell|inform|mention (this )?to) the user\b/i,
+    /^\s*(system|assistant|developer)\s*:/im,
+    /<\/?\s*(system|instructions?|passage|context|prompt)\b[^>]*>/i
+];
+
+const REDACTED = "[text resembling instructions to the assistant removed]";
+
+// Whether a piece of document text looks like a prompt-injection attempt
+export function looksLikeInjection(text) {
+    return INJECTION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// Redacts the sentences of a passage that look like prompt injection.
+// Returns { text, flagged } where `flagged` counts the redacted sentences.
+export function screenPassage(text) {
+    let flagged = 0;
+    const screened = text.replace(/[^.!?\n]*(?:[.!?]+|\n|$)/g, sentence => {
+        if (!sentence.trim() || !looksLikeInjection(sentence)) return sentence;
+        flagged++;
+        const leading = sentence.match(/^\s*/)[0];
+        return `${leading}${REDACTED}${sentence.endsWith("\n") ? "\n" : ""}`;
+    });
+    return { text: screened, flagged };
+}
+
+// Screens every context chunk before it goes into a prompt. Returns
+// { chunks, flagged } with copies of the chunks carrying the screened text,
+// and the indexes of the chunks that had text removed.
+export function screenChunks(chunks) {
+    const flagged = [];
+    const screened = chunks.map((chunk, i) => {
+        const { text, flagged: count } = screenPassage(chunk.metadata.text || "");
+        if (!count) return chunk;
+        flagged.push(i);
+        return { ...chunk, metadata: { ...chunk.metadata, text } };
+    });
+    return { chunks: screened, flagged };
+}
+
+// Drops retrieved candidates whose dense (cosine) similarity is below
+// `minScore`. When even the best candidate falls short the result is empty,
+// so the caller can answer "not found" without calling the model. Keyword
+// matches are kept whatever their similarity, and results with no dense
+// scores at all (sparse mode) pass through unchanged.
+export function filterByRelevance(candidates, minScore) {
+    if (!minScore) return candidates;
+    const dense = candidates.map(c => c.scores?.dense).filter(score => typeof score === "number");
+    if (dense.length === 0) return candidates;
+    if (Math.max(...dense) < minScore) return [];
+    return candidates.filter(c => (c.scores?.dense ?? -Infinity) >= minScore || c.scores?.sparse_rank != null);
+}
+
+function contentTokens(text) {
+    return tokenize(text).filter(token => /\d/.test(token) || (token.length > 2 && !FUNCTION_WORDS.has(token)));
+}
+
+// Checks each sentence of an answer against the context it was generated
+// from. A sentence is supported when enough of its content words appear in
+// the context and every number it states does. Returns { grounded,
+// unsupported }: `grounded` is the share of checkable sentences that are
+// supported (null when the answer makes no claim, e.g. a refusal), and
+// `unsupported` lists the sentences that are not.
+export function checkGrounding(answer, chunks, { minSupport = DEFAULT_MIN_SUPPORT } = {}) {
+    const contextTokens = new Set(chunks.flatMap(chunk => tokenize(chunk.metadata.text || "")));
+    const sentences = answer
+        .replace(/\[\d+(?:\s*,\s*\d+)*\]/g, "")
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.replace(/^[\s\-*•]+/, "").trim())
+        .filter(Boolean);
+
+    let checked = 0;
+    const unsupported = [];
+    for (const sentence of sentences) {
+        if (REFUSAL_PATTERN.test(sentence)) continue;
+        const tokens = contentTokens(sentence);
+        if (tokens.length === 0) continue;
+        checked++;
+        const found = tokens.filter(token => contextTokens.has(token));
+        const numbersFound = tokens.filter(token => /\d/.test(token)).every(token => contextTokens.has(token));
+        if (!numbersFound || found.length / tokens.length < minSupport) unsupported.push(sentence);
+    }
+
+    return {
+        grounded: checked ? Math.round((checked - unsupported.length) / checked * 100) / 100 : null,
+        unsupported
+    };
+}
@@ -0,0 +1,67 @@
+import { chunkPages } from "./chunking.js";
+import { toSearchText } from "./text.js";
+
+// How a document's chunks are stored, shared by ingestion and the eval
+// harness so both index and look up chunks the same way.
+
+// Vector IDs start with the session ID so per-session listing stays cheap,
+// and end with the chunk index so neighbors can be fetched directly
+export function chunkId(sessionId, documentId, chunkIndex) {
+    return `${sessionId}_${documentId}_${chunkIndex}`;
+}
+
+// Chunks extracted pages, dropping chunks with no text. Returns the
+// chunker's result with `total` counting the chunks before filtering.
+export function chunkDocument(pages, options) {
+    const { chunks, ...result } = chunkPages(pages, options);
+    return { ...result, chunks: chunks.filter(chunk => chunk.text.trim() !== ""), total: chunks.length };
+}
+
+// Vector records for a document's chunks, with `embeddings[i]` for
+// chunks[i]. Chunks that failed to embed (null) are skipped; the rest keep
+// their index so neighbor lookups by chunk_index still line up.
+export function chunkVectors(chunks, embeddings, { sessionId, documentId, source, numPages, unit, format, fingerprint, uploadedAt }) {
+    return chunks
+        .map((chunk, i) => ({
+            id: chunkId(sessionId, documentId, i),
+            values: embeddings[i],
+            metadata: {
+                text: chunk.text,
+                source,
+                document_id: documentId,
+                chunk_index: i,
+                page_start: chunk.page_start,
+                page_end: chunk.page_end,
+                page_count: numPages,
+                page_unit: unit,
+                format,
+                content_hash: fingerprint,
+                session_id: sessionId, // Add session ID to metadata for filtering
+                uploaded_at: uploadedAt
+            },
+        }))
+        .filter(vector => vector.values);
+}
+
+// Stores vectors and adds them to the session's keyword index. The search
+// form of each chunk is keyword-indexed; the stored text stays as extracted.
+export async function indexVectors({ vectorStore, lexicalIndex }, sessionId, vectors) {
+    await vectorStore.upsert(vectors);
+    await lexicalIndex.add(sessionId, vectors.map(v => ({ id: v.id, text: toSearchText(v.metadata.text), metadata: v.metadata })));
+}
+
+// Loads the chunks within `distance` of the selected ones in their documents
+export async function fetchNeighborChunks(vectorStore, sessionId, selected, distance) {
+    const ids = new Set();
+    for (const { metadata } of selected) {
+        if (!metadata.document_id || typeof metadata.chunk_index !== "number") continue;
+        for (let offset = 1; offset <= distance; offset++) {
+            if (metadata.chunk_index - offset >= 0) {
+                ids.add(chunkId(sessionId, metadata.document_id, metadata.chunk_index - offset));
+            }
+            ids.add(chunkId(sessionId, metadata.document_id, metadata.chunk_index + offset));
+        }
+    }
+    for (const { id } of selected) ids.delete(id);
+    return ids.size ? vectorStore.fetch([...ids]) : [];
+}
@@ -0,0 +1,125 @@
+import { v4 as uuidv4 } from "uuid";
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+export class JobCancelledError extends Error {
+    constructor() {
+        super("Job was cancelled");
+        this.name = "JobCancelledError";
+    }
+}
+
+// In-memory background job queue. Handlers run at most `concurrency` at a
+// time and receive a context to report progress and observe cancellation:
+//   ctx.id                                      - the job's ID
+//   ctx.update({ stage, progress, ...fields })  - merge fields into the job
+//   ctx.signal                                  - aborted when cancelled
+//   ctx.throwIfCancelled()                      - stop at a safe point
+// A handler's return value becomes `job.result`. A job cancelled before it
+// starts never runs its handler; its `onDiscard()` runs instead, so it can
+// release what the handler would have cleaned up.
+export function createJobQueue({ concurrency = 1 } = {}) {
+    const jobs = new Map();
+    const pending = [];
+    let running = 0;
+
+    function purgeFinished() {
+        const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+        for (const [id, job] of jobs) {
+            if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+        }
+    }
+
+    function touch(job, fields) {
+        Object.assign(job, fields, { updated_at: new Date().toISOString() });
+    }
+
+    async function run(job, handler) {
+        running++;
+        touch(job, { status: "running", started_at: new Date().toISOString() });
+        const ctx = {
+            id: job.id,
+            signal: job.controller.signal,
+            update: fields => touch(job, fields),
+            throwIfCancelled: () => {
+                if (job.controller.signal.aborted) throw new JobCancelledError();
+            }
+        };
+        try {
+            const result = await handler(ctx);
+            ctx.throwIfCancelled();
+            touch(job, { status: "completed", stage: "done", progress: 100, result });
+        } catch (err) {
+            if (err instanceof JobCancelledError || job.controller.signal.aborted) {
+                touch(job, { status: "cancelled" });
+            } else {
+                touch(job, { status: "failed", error: err.message || "Job failed" });
+            }
+        } finally {
+            touch(job, { finished_at: new Date().toISOString() });
+            running--;
+            next();
+        }
+    }
+
+    function next() {
+        while (running < concurrency && pending.length > 0) {
+            const { job, handler } = pending.shift();
+            run(job, handler);
+        }
+    }
+
+    return {
+        // Queue `handler(ctx)` and return the job record right away
+        enqueue(fields, handler, { onDiscard } = {}) {
+            purgeFinished();
+            const now = new Date().toISOString();
+            const job = {
+                id: uuidv4(),
+                status: "queued",
+                stage: "queued",
+                progress: 0,
+                error: null,
+                result: null,
+                created_at: now,
+                updated_at: now,
+                ...fields,
+                controller: new AbortController()
+            };
+            jobs.set(job.id, job);
+            pending.push({ job, handler, onDiscard });
+            next();
+            return job;
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        // Jobs still queued or running
+        active() {
+            return [...jobs.values()].filter(job => !job.finished_at);
+        },
+
+        // Queued jobs are dropped immediately; running jobs stop at their next
+        // checkpoint. Returns false when the job has already finished.
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job || job.finished_at) return false;
+            job.controller.abort();
+            const queuedIndex = pending.findIndex(p => p.job === job);
+            if (queuedIndex !== -1) {
+                const [{ onDiscard }] = pending.splice(queuedIndex, 1);
+                touch(job, { status: "cancelled", finished_at: new Date().toISOString() });
+                onDiscard?.();
+            }
+            return true;
+        }
+    };
+}
+
+// The job as returned by the API, without internal fields
+export function publicJob(job) {
+    const { controller, ...rest } = job;
+    return rest;
+}
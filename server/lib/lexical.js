@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { matchesFilter } from "./vectorstores/filter.js";
+import { createWriteQueue, writeFileAtomic } from "./writes.js";
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Lowercased word/number tokens. "Q7" and "q.7" also emit "7" so question
+// references match numbered items ("7. A quadrilateral ...").
+export function tokenize(text) {
+    const tokens = [];
+    for (const token of text.toLowerCase().normalize("NFKC").match(/[\p{L}\p{N}]+/gu) || []) {
+        tokens.push(token);
+        const questionNumber = token.match(/^q(\d+)$/);
+        if (questionNumber) tokens.push(questionNumber[1]);
+    }
+    return tokens;
+}
+
+function termFrequencies(tokens) {
+    const tf = {};
+    for (const token of tokens) tf[token] = (tf[token] || 0) + 1;
+    return tf;
+}
+
+// Per-session BM25 index over chunk texts, persisted as one JSON file per
+// session under `dir`. Entries carry the same metadata as their vectors so
+// sparse hits can be returned without a vector store round trip.
+export function createLexicalIndex({ dir }) {
+    const sessions = new Map();
+    const writes = createWriteQueue();
+
+    function filePath(sessionId) {
+        const name = crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 32);
+        return path.join(dir, `${name}.json`);
+    }
+
+    async function load(sessionId) {
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, fs.readFile(filePath(sessionId), "utf8")
+                .then(raw => JSON.parse(raw).entries)
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                    return [];
+                }));
+        }
+        return sessions.get(sessionId);
+    }
+
+    function persist(sessionId, entries) {
+        return writes.run(async () => {
+            if (entries.length === 0) {
+                await fs.rm(filePath(sessionId), { force: true });
+                return;
+            }
+            await writeFileAtomic(filePath(sessionId), JSON.stringify({ session_id: sessionId, entries }));
+        }, sessionId);
+    }
+
+    return {
+        // docs: [{ id, text, metadata }]
+        async add(sessionId, docs) {
+            const entries = await load(sessionId);
+            const ids = new Set(docs.map(d => d.id));
+            const kept = entries.filter(e => !ids.has(e.id));
+            for (const { id, text, metadata } of docs) {
+                const tokens = tokenize(text);
+                kept.push({ id, metadata, tf: termFrequencies(tokens), length: tokens.length });
+            }
+            sessions.set(sessionId, Promise.resolve(kept));
+            await persist(sessionId, kept);
+        },
+
+        // Returns [{ id, score, metadata }] ranked by BM25
+        async search(sessionId, query, { topK = 4, filter } = {}) {
+            const entries = (await load(sessionId)).filter(e => matchesFilter(e.metadata, filter));
+            const queryTerms = [...new Set(tokenize(query))];
+            if (entries.length === 0 || queryTerms.length === 0) return [];
+
+            const avgLength = entries.reduce((sum, e) => sum + e.length, 0) / entries.length || 1;
+            const idf = {};
+            for (const term of queryTerms) {
+                const df = entries.filter(e => e.tf[term]).length;
+                idf[term] = Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+            }
+
+            const scored = [];
+            for (const entry of entries) {
+                let score = 0;
+                for (const term of queryTerms) {
+                    const freq = entry.tf[term];
+                    if (!freq) continue;
+                    score += idf[term] * (freq * (K1 + 1)) /
+                        (freq + K1 * (1 - B + B * entry.length / avgLength));
+                }
+                if (score > 0) scored.push({ id: entry.id, score, metadata: entry.metadata });
+            }
+            scored.sort((a, b) => b.score - a.score);
+            return scored.slice(0, topK);
+        },
+
+        async deleteByFilter(sessionId, filter = {}) {
+            const entries = await load(sessionId);
+            const kept = entries.filter(e => !matchesFilter(e.metadata, filter));
+            if (kept.length === entries.length) return 0;
+            sessions.set(sessionId, Promise.resolve(kept));
+            await persist(sessionId, kept);
+            return entries.length - kept.length;
+        },
+
+        // Drops a session's index from memory and disk, once its pending
+        // writes have landed
+        async removeSession(sessionId) {
+            sessions.delete(sessionId);
+            await writes.run(() => fs.rm(filePath(sessionId), { force: true }), sessionId);
+        },
+
+        // Number of sessions held in memory
+        get size() {
+            return sessions.size;
+        }
+    };
+}
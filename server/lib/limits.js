@@ -0,0 +1,112 @@
+import fs from "fs/promises";
+import { createWriteQueue, writeFileAtomic } from "./writes.js";
+
+export const QUOTA_KINDS = ["embedding_tokens", "generations"];
+
+const MAX_IDLE_BUCKETS = 10000;
+
+// Token-bucket rate limiter. Each key may make `perMinute` requests in a
+// burst, refilled continuously at the same rate. take() resolves to 0 when
+// the request may proceed, otherwise to the seconds until it could. `now`
+// returns the current time in milliseconds.
+export function createRateLimiter({ perMinute, now: clock = Date.now }) {
+    const buckets = new Map();
+    const refillPerMs = perMinute / 60000;
+
+    function level(bucket, now) {
+        return Math.min(perMinute, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    }
+
+    return {
+        take(key) {
+            if (!perMinute) return 0;
+            const now = clock();
+            if (buckets.size > MAX_IDLE_BUCKETS) {
+                // Full buckets carry no state worth keeping
+                for (const [k, bucket] of buckets) {
+                    if (level(bucket, now) >= perMinute) buckets.delete(k);
+                }
+            }
+            const bucket = buckets.get(key) || { tokens: perMinute, updated: now };
+            bucket.tokens = level(bucket, now);
+            bucket.updated = now;
+            buckets.set(key, bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return 0;
+            }
+            return Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+        }
+    };
+}
+
+function today(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Seconds until the daily quotas reset at midnight UTC
+export function secondsUntilReset(now = Date.now()) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight - now) / 1000);
+}
+
+// Per-user daily usage of embedding tokens and model generations, checked
+// against `limits` (0 or unset means unlimited). Only the current UTC day is
+// kept, in memory and in `filePath`; `now` decides which day that is.
+export function createUsageTracker({ filePath, limits, now = Date.now }) {
+    let state = null;
+    let loaded = null;
+    const writes = createWriteQueue();
+
+    function load() {
+        if (!loaded) {
+            loaded = fs.readFile(filePath, "utf8")
+                .then(raw => { state = JSON.parse(raw); })
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                });
+        }
+        return loaded.then(() => {
+            const date = today(now());
+            if (!state || state.date !== date) state = { date, users: {} };
+            return state;
+        });
+    }
+
+    function persist() {
+        return writes.run(() => writeFileAtomic(filePath, JSON.stringify(state)));
+    }
+
+    async function usage(userId) {
+        const { date, users } = await load();
+        const used = users[userId] || {};
+        return {
+            date,
+            ...Object.fromEntries(QUOTA_KINDS.map(kind => [kind, { used: used[kind] || 0, limit: limits[kind] || null }]))
+        };
+    }
+
+    return {
+        usage,
+
+        // The first of `kinds` whose quota is used up, as { kind, used,
+        // limit }, or null if the user may go ahead
+        async exceeded(userId, kinds) {
+            const current = await usage(userId);
+            for (const kind of kinds) {
+                const { used, limit } = current[kind];
+                if (limit && used >= limit) return { kind, used, limit };
+            }
+            return null;
+        },
+
+        async record(userId, kind, amount) {
+            if (!amount) return;
+            const { users } = await load();
+            const used = users[userId] || (users[userId] = {});
+            used[kind] = (used[kind] || 0) + amount;
+            await persist();
+        }
+    };
+}
@@ -0,0 +1,61 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields (request or job ID) and stage timings for the work in progress,
+// carried across awaits so helpers deep in a request log with its ID
+const context = new AsyncLocalStorage();
+
+// Runs `fn` with `fields` added to every log line written while it runs,
+// and with a fresh set of stage timings
+export function withLogContext(fields, fn) {
+    const parent = context.getStore();
+    return context.run({ fields: { ...parent?.fields, ...fields }, timings: {} }, fn);
+}
+
+// Adds `ms` spent in `stage` to the current request or job's timings
+export function recordTiming(stage, ms) {
+    const store = context.getStore();
+    if (store) store.timings[stage] = (store.timings[stage] || 0) + ms;
+}
+
+// Milliseconds spent in each stage so far by the current request or job
+export function currentTimings() {
+    const timings = context.getStore()?.timings || {};
+    return Object.fromEntries(Object.entries(timings).map(([stage, ms]) => [stage, Math.round(ms)]));
+}
+
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: err.message,
+        ...(err.code !== undefined && { code: err.code }),
+        ...(err.errorDetails && { details: err.errorDetails }),
+        stack: err.stack
+    };
+}
+
+// JSON-lines logger: one object per line with time, level, message, the
+// current context's fields and the call's own fields. Error values are
+// expanded to name, message and stack. The level comes from LOG_LEVEL
+// (debug, info, warn or error; default info) when not given.
+export function createLogger({ level, write = line => process.stdout.write(line + "\n") } = {}) {
+    function log(entryLevel, msg, fields = {}) {
+        const threshold = LEVELS[level || process.env.LOG_LEVEL] ?? LEVELS.info;
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...context.getStore()?.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+        write(JSON.stringify(entry));
+    }
+
+    return {
+        debug: (msg, fields) => log("debug", msg, fields),
+        info: (msg, fields) => log("info", msg, fields),
+        warn: (msg, fields) => log("warn", msg, fields),
+        error: (msg, fields) => log("error", msg, fields)
+    };
+}
+
+export const logger = createLogger();
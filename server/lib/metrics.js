@@ -0,0 +1,85 @@
+// Seconds; suits everything from a cached lookup to a long ingestion stage
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// In-memory metrics registry rendered in the Prometheus text exposition
+// format. Counters and histograms are keyed by their label values:
+//   counter({ name, help, labelNames }).inc(labels, amount = 1)
+//   histogram({ name, help, labelNames, buckets }).observe(labels, seconds)
+export function createMetrics() {
+    const metrics = [];
+
+    function register(type, { name, help, labelNames = [] }, extra = {}) {
+        const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // The series for these label values, created on first use
+    function seriesFor(metric, labels, create) {
+        const values = metric.labelNames.map(name => labels[name] ?? "");
+        const key = JSON.stringify(values);
+        if (!metric.series.has(key)) {
+            const named = Object.fromEntries(metric.labelNames.map((name, i) => [name, values[i]]));
+            metric.series.set(key, { labels: named, ...create() });
+        }
+        return metric.series.get(key);
+    }
+
+    function renderMetric(metric) {
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+        for (const series of metric.series.values()) {
+            if (metric.type === "counter") {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            metric.buckets.forEach((le, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le })} ${series.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines.join("\n");
+    }
+
+    return {
+        counter(options) {
+            const metric = register("counter", options);
+            // Unlabelled counters are reported from zero
+            if (metric.labelNames.length === 0) seriesFor(metric, {}, () => ({ value: 0 }));
+            return {
+                inc(labels = {}, amount = 1) {
+                    if (amount > 0) seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+                }
+            };
+        },
+
+        histogram(options) {
+            const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+            const metric = register("histogram", options, { buckets });
+            return {
+                observe(labels, value) {
+                    const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                    buckets.forEach((le, i) => {
+                        if (value <= le) series.counts[i]++;
+                    });
+                    series.sum += value;
+                    series.count++;
+                }
+            };
+        },
+
+        render() {
+            return metrics.map(renderMetric).join("\n") + "\n";
+        }
+    };
+}
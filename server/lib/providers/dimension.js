@@ -0,0 +1,18 @@
+// Records the embedding dimension a provider reports and rejects vectors that
+// don't match it, so a model swap fails loudly instead of writing vectors the
+// index can't compare against.
+export function checkDimension(provider, vectors) {
+    for (const vector of vectors) {
+        if (!Array.isArray(vector) || vector.length === 0) {
+            throw new Error(`${provider.name} provider returned an empty embedding`);
+        }
+        if (provider.dimension == null) {
+            provider.dimension = vector.length;
+        } else if (vector.length !== provider.dimension) {
+            throw new Error(
+                `${provider.name} provider returned a ${vector.length}-dimensional embedding, expected ${provider.dimension}`
+            );
+        }
+    }
+    return vectors;
+}
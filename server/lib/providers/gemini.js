@@ -0,0 +1,43 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { checkDimension } from "./dimension.js";
+
+export function createGeminiProvider({ apiKey, embeddingModel, chatModel, dimension }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const embedder = genAI.getGenerativeModel({ model: embeddingModel });
+    const chat = genAI.getGenerativeModel({ model: chatModel });
+
+    const provider = {
+        name: "gemini",
+        embeddingModel,
+        chatModel,
+        dimension: dimension ?? null,
+
+        async embed(texts) {
+            const requests = texts.map(text => ({
+                content: { parts: [{ text }] }
+            }));
+            const result = await embedder.batchEmbedContents({ requests });
+            return checkDimension(provider, (result.embeddings || []).map(e => e.values));
+        },
+
+        async embedOne(text) {
+            const result = await embedder.embedContent(text);
+            return checkDimension(provider, [result.embedding.values])[0];
+        },
+
+        async generate(prompt) {
+            const result = await chat.generateContent(prompt);
+            const response = await result.response;
+            return response.text();
+        },
+
+        async *generateStream(prompt, { signal } = {}) {
+            const result = await chat.generateContentStream(prompt, { signal });
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) yield text;
+            }
+        }
+    };
+    return provider;
+}
@@ -0,0 +1,50 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+
+// Every model provider exposes the same interface:
+//   embed(texts)     -> one embedding per text, in order
+//   embedOne(text)   -> a single embedding
+//   generate(prompt, { task }) -> the model's text answer
+//   generateStream(prompt, { signal, task }) -> async iterable of answer text
+//                       deltas, stopping early when `signal` aborts
+// `task` names what the prompt asks for: "answer", "rewrite", "summary",
+// "quiz", "grading" or "extraction". Hosted models ignore it; the stub
+// provider picks its responder by it.
+// plus `name`, `embeddingModel`, `chatModel` and `dimension` (the embedding
+// size, known up front or recorded from the first embedding returned).
+export function createModelProvider(env = process.env) {
+    const kind = (env.MODEL_PROVIDER || defaultProvider(env)).toLowerCase();
+    const dimension = env.EMBEDDING_DIMENSION ? Number(env.EMBEDDING_DIMENSION) : undefined;
+
+    switch (kind) {
+        case "gemini":
+            return createGeminiProvider({
+                apiKey: env.GOOGLE_API_KEY,
+                embeddingModel: env.GEMINI_EMBEDDING_MODEL || "text-embedding-004",
+                chatModel: env.GEMINI_CHAT_MODEL || "gemini-1.5-flash",
+                dimension
+            });
+        case "openai":
+            return createOpenAIProvider({
+                apiKey: env.OPENAI_API_KEY,
+                baseURL: env.OPENAI_BASE_URL,
+                embeddingModel: env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
+                chatModel: env.OPENAI_CHAT_MODEL || "gpt-4o-mini",
+                dimension
+            });
+        case "stub":
+            return createStubProvider({ dimension });
+        default:
+            throw new Error(`Unknown MODEL_PROVIDER "${kind}" (expected "gemini", "openai" or "stub")`);
+    }
+}
+
+// The provider whose credentials are configured. The offline stub is never
+// picked implicitly, so a deploy with a missing key fails at startup instead
+// of serving fake embeddings and answers.
+function defaultProvider(env) {
+    if (env.GOOGLE_API_KEY) return "gemini";
+    if (env.OPENAI_API_KEY || env.OPENAI_BASE_URL) return "openai";
+    throw new Error("No model provider configured: set GOOGLE_API_KEY, OPENAI_API_KEY or OPENAI_BASE_URL, or MODEL_PROVIDER=stub for offline use");
+}
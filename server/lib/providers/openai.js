@@ -0,0 +1,50 @@
+import OpenAI from "openai";
+import { checkDimension } from "./dimension.js";
+
+// Works with the OpenAI API and any server exposing the same endpoints
+// (Ollama, llama.cpp, vLLM, ...) through OPENAI_BASE_URL.
+export function createOpenAIProvider({ apiKey, baseURL, embeddingModel, chatModel, dimension }) {
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    const client = new OpenAI({ apiKey: apiKey || "not-needed", baseURL });
+
+    const provider = {
+        name: "openai",
+        embeddingModel,
+        chatModel,
+        dimension: dimension ?? null,
+
+        async embed(texts) {
+            const response = await client.embeddings.create({ model: embeddingModel, input: texts });
+            const vectors = [...response.data]
+                .sort((a, b) => a.index - b.index)
+                .map(d => d.embedding);
+            return checkDimension(provider, vectors);
+        },
+
+        async embedOne(text) {
+            const [vector] = await provider.embed([text]);
+            return vector;
+        },
+
+        async generate(prompt) {
+            const completion = await client.chat.completions.create({
+                model: chatModel,
+                messages: [{ role: "user", content: prompt }]
+            });
+            return completion.choices[0]?.message?.content || "";
+        },
+
+        async *generateStream(prompt, { signal } = {}) {
+            const stream = await client.chat.completions.create({
+                model: chatModel,
+                messages: [{ role: "user", content: prompt }],
+                stream: true
+            }, { signal });
+            for await (const chunk of stream) {
+                const text = chunk.choices[0]?.delta?.content;
+                if (text) yield text;
+            }
+        }
+    };
+    return provider;
+}
@@ -0,0 +1,232 @@
+import crypto from "crypto";
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function hashToken(token) {
+    return crypto.createHash("md5").update(token).digest().readUInt32LE(0);
+}
+
+// Smallest value that satisfies a JSON Schema, used to answer extraction
+// prompts with well-formed (if empty) data
+function sampleFromSchema(schema = {}) {
+    if ("const" in schema) return schema.const;
+    if (schema.enum) return schema.enum[0];
+    if (schema.anyOf) return sampleFromSchema(schema.anyOf[0]);
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type || (schema.properties ? "object" : "null");
+    switch (type) {
+        case "object":
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, child]) => [key, sampleFromSchema(child)]));
+        case "array":
+            return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+        case "string":
+            return "x".repeat(schema.minLength || 0);
+        case "number":
+        case "integer":
+            return schema.minimum ?? 0;
+        case "boolean":
+            return false;
+        default:
+            return null;
+    }
+}
+
+// Fill-in-the-blank practice questions: for each passage's longer
+// sentences, its longest word is blanked out. Multiple-choice distractors are
+// the blanked words of other sentences.
+function clozeQuestions(prompt, count, type) {
+    const passages = [...prompt.matchAll(/<passage id="(\d+)"[^>]*>\n([\s\S]*?)\n<\/passage>/g)]
+        .map(match => {
+            const sentences = match[2].replace(/\s+/g, " ").split(/(?<=[.!?])\s+/)
+                .filter(sentence => sentence.split(" ").length >= 6 && !sentence.includes("["));
+            return sentences.map(sentence => {
+                const words = sentence.match(/\p{L}{5,}/gu) || [];
+                const word = words.reduce((longest, w) => w.length > longest.length ? w : longest, "");
+                return { passage: Number(match[1]), sentence: sentence.trim(), word };
+            }).filter(item => item.word);
+        });
+
+    // Round-robin over the passages so the questions are spread out
+    const items = [];
+    for (let i = 0; items.length < count && passages.some(list => list.length > i); i++) {
+        for (const list of passages) if (list[i] && items.length < count) items.push(list[i]);
+    }
+
+    const pool = [...new Set(passages.flat().map(item => item.word.toLowerCase()))];
+    return items.map((item, i) => {
+        const questionType = type === "mixed" ? (i % 2 ? "short_answer" : "mcq") : type;
+        const question = {
+            type: questionType,
+            question: `Fill in the blank: ${item.sentence.replace(item.word, "____")}`,
+            answer: item.word,
+            explanation: `The passage says: "${item.sentence}"`,
+            passage: item.passage
+        };
+        if (questionType === "mcq") {
+            const start = pool.indexOf(item.word.toLowerCase());
+            const distractors = [...pool.slice(start + 1), ...pool.slice(0, start)]
+                .filter(word => word !== item.word.toLowerCase())
+                .concat(["none of these", "not stated", "all of these"])
+                .slice(0, 3);
+            question.options = [item.word, ...distractors].sort((a, b) => a.localeCompare(b));
+        }
+        return question;
+    });
+}
+
+// Follow-up rewrites: prefix the last user turn so retrieval sees the topic
+// the follow-up refers to
+function rewriteQuestion(prompt) {
+    const followUp = (prompt.match(/Follow-up question:\s*(.*)/) || [])[1] || "";
+    const userTurns = [...prompt.matchAll(/^User:\s*(.*)$/gm)];
+    const lastUserTurn = userTurns.length ? userTurns[userTurns.length - 1][1] : "";
+    return `${lastUserTurn} ${followUp}`.trim();
+}
+
+// Summaries and outlines: the first sentence of each page- or
+// section-labelled block, with its reference
+function summarize(prompt) {
+    const summaryMatch = prompt.match(/\nText:\n([\s\S]*)\n\n(Summary|Outline):\s*$/);
+    if (!summaryMatch) return "";
+    const entries = summaryMatch[1].split(/\n\n(?=\[(?:pp?\.|§§?) )/).map(block => {
+        const label = block.match(/^\[((?:pp?\.|§§?) [^\]]+)\]\n/);
+        const body = (label ? block.slice(label[0].length) : block)
+            .replace(/\((?:pp?\.|§§?) [^)]*\)/g, "")
+            .replace(/^[\s-]+/, "")
+            .replace(/\s+/g, " ")
+            .trim();
+        const sentence = (body.match(/^.*?[.!?](?=\s|$)/) || [body])[0].slice(0, 200);
+        return label ? `${sentence} (${label[1]})` : sentence;
+    });
+    return summaryMatch[2] === "Outline"
+        ? entries.map(entry => `- ${entry}`).join("\n")
+        : entries.join(" ");
+}
+
+// Practice questions, from passages delimited as in answers
+function writeQuiz(prompt) {
+    const count = Number((prompt.match(/^Number of questions: (\d+)$/m) || [])[1]) || 5;
+    const type = (prompt.match(/^Question type: (\w+)$/m) || [])[1] || "mcq";
+    return JSON.stringify({ questions: clozeQuestions(prompt, count, type) });
+}
+
+// Short-answer grading: correct when the answer has at least half the key's
+// words
+function gradeAnswers(prompt) {
+    const items = JSON.parse((prompt.match(/\nItems:\n([\s\S]*?)\n\nGrades JSON:/) || [])[1] || "[]");
+    return JSON.stringify({
+        grades: items.map(item => {
+            const key = tokenize(item.answer_key);
+            const given = new Set(tokenize(item.student_answer));
+            const correct = key.filter(token => given.has(token)).length >= key.length / 2;
+            return {
+                id: item.id,
+                correct,
+                feedback: correct ? "Correct." : `The answer is "${item.answer_key}". The source says: ${item.source_text}`
+            };
+        })
+    });
+}
+
+// Schema extraction: the smallest data the prompt's schema accepts
+function extract(prompt) {
+    const schemaMatch = prompt.match(/JSON Schema:\n(\{[\s\S]*?\n\})\n/);
+    return JSON.stringify(schemaMatch ? sampleFromSchema(JSON.parse(schemaMatch[1])) : {});
+}
+
+// Answers: the context sentence that best overlaps the question
+function answerQuestion(prompt) {
+    const questionMatch = prompt.match(/Question:\s*([\s\S]*)$/);
+    const question = questionMatch ? questionMatch[1] : "";
+    // Only the context is searched, not the instructions above it
+    const head = questionMatch ? prompt.slice(0, questionMatch.index) : prompt;
+    const contextStart = head.indexOf("Context from the uploaded document:");
+    const body = contextStart === -1 ? head : head.slice(contextStart);
+    const questionTokens = new Set(tokenize(question));
+
+    // Track which numbered passage each sentence comes from so the answer
+    // can cite it like a real model would. Lines within a passage are read
+    // as running text.
+    const passages = [...body.matchAll(/<passage id="(\d+)"[^>]*>\n([\s\S]*?)\n<\/passage>/g)];
+    const blocks = passages.length ? passages.map(match => ({ id: match[1], text: match[2] })) : [{ id: null, text: body }];
+    let best = "";
+    let bestScore = 0;
+    for (const block of blocks) {
+        for (const sentence of block.text.replace(/\s+/g, " ").split(/(?<=[.!?])\s+/)) {
+            const score = tokenize(sentence).filter(t => questionTokens.has(t)).length;
+            if (score > bestScore) {
+                best = block.id ? `${sentence.trim()} [${block.id}]` : sentence.trim();
+                bestScore = score;
+            }
+        }
+    }
+    return best || "I cannot find the answer in the provided document.";
+}
+
+// Built-in responders by generation task (see providers/index.js)
+const RESPONDERS = {
+    answer: answerQuestion,
+    rewrite: rewriteQuestion,
+    summary: summarize,
+    quiz: writeQuiz,
+    grading: gradeAnswers,
+    extraction: extract
+};
+
+// Deterministic offline provider. Embeddings are signed feature-hashed bags
+// of words, so texts sharing vocabulary land close together and retrieval
+// behaves sensibly in tests without any network access. Generation is
+// extractive, with a responder per task; tests can pass `responders` to
+// script a task's replies.
+export function createStubProvider({ dimension = 256, responders = {} } = {}) {
+    function embedSync(text) {
+        const vector = new Array(dimension).fill(0);
+        for (const token of tokenize(text)) {
+            const h = hashToken(token);
+            vector[h % dimension] += (h & 0x80000000) ? -1 : 1;
+        }
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        // An all-zero vector has no cosine similarity, so nudge empty input
+        if (norm === 0) {
+            vector[0] = 1;
+            return vector;
+        }
+        return vector.map(v => v / norm);
+    }
+
+    const provider = {
+        name: "stub",
+        embeddingModel: `stub-hash-${dimension}`,
+        chatModel: "stub-extractive",
+        dimension,
+
+        async embed(texts) {
+            return texts.map(embedSync);
+        },
+
+        async embedOne(text) {
+            return embedSync(text);
+        },
+
+        // Answers with the responder for the prompt's task; `responders`
+        // passed to the factory replace the built-in ones
+        async generate(prompt, { task = "answer" } = {}) {
+            const respond = responders[task] || RESPONDERS[task];
+            if (!respond) throw new Error(`Unknown generation task "${task}"`);
+            return respond(prompt);
+        },
+
+        // Streams the extractive answer word by word
+        async *generateStream(prompt, { signal } = {}) {
+            const answer = await provider.generate(prompt, { task: "answer" });
+            for (const piece of answer.match(/\S+\s*/g) || []) {
+                if (signal?.aborted) return;
+                yield piece;
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+    };
+    return provider;
+}
@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { createWriteQueue, writeFileAtomic } from "./writes.js";
+
+// Generated quizzes and their graded attempts, persisted as one JSON file
+// per session under `dir` so they go away with the session.
+export function createQuizStore({ dir }) {
+    const sessions = new Map();
+    const writes = createWriteQueue();
+
+    function filePath(sessionId) {
+        const name = crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 32);
+        return path.join(dir, `${name}.json`);
+    }
+
+    async function load(sessionId) {
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, fs.readFile(filePath(sessionId), "utf8")
+                .then(raw => JSON.parse(raw).quizzes)
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                    return [];
+                }));
+        }
+        return sessions.get(sessionId);
+    }
+
+    function persist(sessionId, quizzes) {
+        return writes.run(() => writeFileAtomic(filePath(sessionId), JSON.stringify({ session_id: sessionId, quizzes })), sessionId);
+    }
+
+    return {
+        async create(sessionId, quiz) {
+            const quizzes = await load(sessionId);
+            const record = { id: uuidv4(), created_at: new Date().toISOString(), ...quiz, attempts: [] };
+            quizzes.push(record);
+            await persist(sessionId, quizzes);
+            return record;
+        },
+
+        async get(sessionId, quizId) {
+            return (await load(sessionId)).find(quiz => quiz.id === quizId) || null;
+        },
+
+        // Appends a graded attempt; returns the updated quiz or null
+        async recordAttempt(sessionId, quizId, attempt) {
+            const quizzes = await load(sessionId);
+            const quiz = quizzes.find(q => q.id === quizId);
+            if (!quiz) return null;
+            quiz.attempts.push({ graded_at: new Date().toISOString(), ...attempt });
+            await persist(sessionId, quizzes);
+            return quiz;
+        },
+
+        async removeSession(sessionId) {
+            sessions.delete(sessionId);
+            await writes.run(() => fs.rm(filePath(sessionId), { force: true }), sessionId);
+        },
+
+        // Number of sessions held in memory
+        get size() {
+            return sessions.size;
+        }
+    };
+}
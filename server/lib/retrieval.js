@@ -0,0 +1,53 @@
+export const RETRIEVAL_MODES = ["dense", "sparse", "hybrid"];
+
+const RRF_K = 60;
+
+// Reciprocal rank fusion: each ranked list contributes 1 / (k + rank) for
+// every item it contains. Returns [{ id, metadata, fused, ranks, scores }]
+// sorted by fused score, where ranks/scores are keyed by list name.
+export function reciprocalRankFusion(lists, k = RRF_K) {
+    const fused = new Map();
+    for (const [name, results] of Object.entries(lists)) {
+        results.forEach((result, i) => {
+            if (!fused.has(result.id)) {
+                fused.set(result.id, { id: result.id, metadata: result.metadata, fused: 0, ranks: {}, scores: {} });
+            }
+            const entry = fused.get(result.id);
+            entry.fused += 1 / (k + i + 1);
+            entry.ranks[name] = i + 1;
+            entry.scores[name] = result.score;
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.fused - a.fused);
+}
+
+// Retrieve the topK chunks for a query in dense (vector), sparse (BM25) or
+// hybrid (both, fused with RRF) mode. Each match is { id, metadata, score,
+// scores: { dense, dense_rank, sparse, sparse_rank, fused } }. Index lookups
+// run inside `span("query", fn)` when a span function is given, for timing.
+export async function retrieve({ vectorStore, lexicalIndex, embed, sessionId, query, filter, topK, mode = "hybrid", span = (stage, fn) => fn() }) {
+    // Fusion needs more than topK candidates from each side to be useful
+    const candidates = mode === "hybrid" ? Math.max(topK * 3, 20) : topK;
+    const lists = {};
+
+    if (mode !== "sparse") {
+        const vector = await embed(query);
+        lists.dense = await span("query", () => vectorStore.query({ vector, topK: candidates, filter }));
+    }
+    if (mode !== "dense") {
+        lists.sparse = await span("query", () => lexicalIndex.search(sessionId, query, { topK: candidates, filter }));
+    }
+
+    return reciprocalRankFusion(lists).slice(0, topK).map(entry => ({
+        id: entry.id,
+        metadata: entry.metadata,
+        score: mode === "hybrid" ? entry.fused : entry.scores[mode],
+        scores: {
+            dense: entry.scores.dense ?? null,
+            dense_rank: entry.ranks.dense ?? null,
+            sparse: entry.scores.sparse ?? null,
+            sparse_rank: entry.ranks.sparse ?? null,
+            fused: entry.fused
+        }
+    }));
+}
@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { createWriteQueue, writeFileAtomic } from "./writes.js";
+
+const TITLE_LENGTH = 60;
+// Access times are only written to disk when they move by at least this much
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Sessions and their conversations. Each session records its owner, a
+// title, activity times and a registry of its documents; a session is
+// claimed by the first user to upload to or ask in it, and after that only
+// its owner may read or change it. The session list is kept in memory and rewritten to
+// `filePath` after each change; messages are appended to one JSON-lines file
+// per session under `messagesDir`.
+//
+// Registered documents are { document_id, name, pages, chunks, vector_ids,
+// fingerprint, uploaded_at }. Sessions created before the registry have no
+// `documents` field until one is recorded for them.
+export function createSessionStore({ filePath, messagesDir }) {
+    const sessions = new Map();
+    let loaded = null;
+    const writes = createWriteQueue();
+
+    function load() {
+        if (!loaded) {
+            loaded = fs.readFile(filePath, "utf8")
+                .then(raw => {
+                    for (const session of JSON.parse(raw)) sessions.set(session.id, session);
+                })
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                });
+        }
+        return loaded;
+    }
+
+    function persist() {
+        return writes.run(() => writeFileAtomic(filePath, JSON.stringify([...sessions.values()], null, 2)));
+    }
+
+    function messagesFile(sessionId) {
+        const name = crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 32);
+        return path.join(messagesDir, `${name}.jsonl`);
+    }
+
+    return {
+        async get(sessionId) {
+            await load();
+            return sessions.get(sessionId) || null;
+        },
+
+        // Whether `userId` may use the session: it is theirs. Unknown and
+        // ownerless sessions are refused; routes that start sessions claim
+        // them first.
+        async canAccess(sessionId, userId) {
+            await load();
+            const session = sessions.get(sessionId);
+            return Boolean(session?.owner_id) && session.owner_id === userId;
+        },
+
+        // Makes `userId` the owner of an unclaimed session. Resolves to false
+        // if another user already owns it.
+        async claim(sessionId, userId) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (session) return session.owner_id === userId;
+            const now = new Date().toISOString();
+            sessions.set(sessionId, {
+                id: sessionId,
+                owner_id: userId,
+                title: null,
+                message_count: 0,
+                documents: [],
+                created_at: now,
+                updated_at: now,
+                last_accessed_at: now
+            });
+            await persist();
+            return true;
+        },
+
+        // Records that the session was used just now
+        async touch(sessionId) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (!session) return;
+            const now = new Date();
+            if (session.last_accessed_at && now - Date.parse(session.last_accessed_at) < TOUCH_INTERVAL_MS) return;
+            session.last_accessed_at = now.toISOString();
+            await persist();
+        },
+
+        // Sessions not used since `cutoff` (an ISO timestamp)
+        async listIdle(cutoff) {
+            await load();
+            return [...sessions.values()]
+                .filter(session => (session.last_accessed_at || session.updated_at) < cutoff);
+        },
+
+        // The user's sessions, most recently active first
+        async listByOwner(userId) {
+            await load();
+            return [...sessions.values()]
+                .filter(session => session.owner_id === userId)
+                .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        },
+
+        async rename(sessionId, title) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (!session) return null;
+            session.title = title;
+            await persist();
+            return session;
+        },
+
+        // Forgets the session and its messages
+        async remove(sessionId) {
+            await load();
+            if (!sessions.delete(sessionId)) return false;
+            await fs.rm(messagesFile(sessionId), { force: true });
+            await persist();
+            return true;
+        },
+
+        // Adds a document to a claimed session's registry, replacing any
+        // entry with the same ID
+        async recordDocument(sessionId, document) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (!session) return false;
+            session.documents = (session.documents || [])
+                .filter(existing => existing.document_id !== document.document_id)
+                .concat(document);
+            await persist();
+            return true;
+        },
+
+        // Replaces the registry of a session indexed before it existed
+        async setDocuments(sessionId, documents) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (!session) return;
+            session.documents = documents;
+            await persist();
+        },
+
+        // Removes a document from the registry and returns its entry, or null
+        // if it was not registered
+        async removeDocument(sessionId, documentId) {
+            await load();
+            const session = sessions.get(sessionId);
+            const document = session?.documents?.find(doc => doc.document_id === documentId);
+            if (!document) return null;
+            session.documents = session.documents.filter(doc => doc !== document);
+            await persist();
+            return document;
+        },
+
+        // Empties the registry and returns the removed entries, or null for a
+        // session without one
+        async clearDocuments(sessionId) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (!session?.documents) return null;
+            const documents = session.documents;
+            session.documents = [];
+            await persist();
+            return documents;
+        },
+
+        // Appends messages to a claimed session's conversation. A session
+        // without a title takes the first user message as one.
+        async appendMessages(sessionId, messages) {
+            await load();
+            const session = sessions.get(sessionId);
+            if (!session || messages.length === 0) return [];
+            const now = new Date().toISOString();
+            const stored = messages.map(message => ({ id: uuidv4(), ...message, created_at: now }));
+            await fs.mkdir(messagesDir, { recursive: true });
+            await fs.appendFile(messagesFile(sessionId), stored.map(message => JSON.stringify(message)).join("\n") + "\n");
+
+            if (!session.title) {
+                const question = stored.find(message => message.role === "user");
+                if (question) {
+                    const text = question.text.replace(/\s+/g, " ").trim();
+                    session.title = text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+                }
+            }
+            session.message_count = (session.message_count || 0) + stored.length;
+            session.updated_at = now;
+            await persist();
+            return stored;
+        },
+
+        async listMessages(sessionId) {
+            try {
+                const raw = await fs.readFile(messagesFile(sessionId), "utf8");
+                const messages = [];
+                for (const line of raw.split("\n")) {
+                    if (!line) continue;
+                    try {
+                        messages.push(JSON.parse(line));
+                    } catch {
+                        // A torn final line from a crash mid-append; skip it
+                    }
+                }
+                return messages;
+            } catch (err) {
+                if (err.code === "ENOENT") return [];
+                throw err;
+            }
+        }
+    };
+}
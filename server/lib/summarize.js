@@ -0,0 +1,116 @@
+import { countTokens } from "./chunking.js";
+import { logger } from "./logger.js";
+
+export const SUMMARY_MODES = ["short", "detailed", "outline"];
+
+const DEFAULT_BATCH_TOKENS = Number(process.env.SUMMARY_BATCH_TOKENS) || 2000;
+
+const MAP_INSTRUCTIONS = {
+    short: "Summarize the key points of this part in a few sentences.",
+    detailed: "Summarize this part thoroughly, keeping important facts, definitions, figures and questions.",
+    outline: "List each section, heading or group of questions in this part, one per line as \"- Heading (p. N): what it covers\"."
+};
+
+const REDUCE_INSTRUCTIONS = {
+    short: "Write a concise summary of the whole document in 3-5 sentences.",
+    detailed: "Write a detailed summary of the whole document in several paragraphs, following its order.",
+    outline: "Merge these notes into one outline of the whole document, in order, one line per section as \"- Heading (p. N): what it covers\". Combine entries for the same section."
+};
+
+// Documents without pages (Word, Markdown, HTML) number their sections
+// instead, written "§ N"
+export function formatPageRange(pageStart, pageEnd, unit = "page") {
+    const [one, many] = unit === "section" ? ["§", "§§"] : ["p.", "pp."];
+    if (pageStart == null) return `${one} ?`;
+    if (pageEnd == null || pageEnd === pageStart) return `${one} ${pageStart}`;
+    return `${many} ${pageStart}–${pageEnd}`;
+}
+
+// Groups consecutive items into batches of at most `maxTokens` tokens
+// (a single oversized item still gets a batch of its own)
+function batchByTokens(items, maxTokens) {
+    const batches = [];
+    let current = [];
+    let tokens = 0;
+    for (const item of items) {
+        const itemTokens = countTokens(item.text);
+        if (current.length && tokens + itemTokens > maxTokens) {
+            batches.push(current);
+            current = [];
+            tokens = 0;
+        }
+        current.push(item);
+        tokens += itemTokens;
+    }
+    if (current.length) batches.push(current);
+    return batches;
+}
+
+function spanOf(items) {
+    const starts = items.map(item => item.page_start).filter(page => page != null);
+    const ends = items.map(item => item.page_end ?? item.page_start).filter(page => page != null);
+    return {
+        page_start: starts.length ? Math.min(...starts) : null,
+        page_end: ends.length ? Math.max(...ends) : null
+    };
+}
+
+// Prompts end with "Summary:" or "Outline:" so the reply is just the text
+function buildPrompt(intro, instruction, items, mode, unit) {
+    const reference = unit === "section" ? "Refer to sections as (§ N)." : "Refer to pages as (p. N).";
+    return [
+        intro,
+        unit === "section" ? instruction.replace("(p. N)", "(§ N)") : instruction,
+        `${reference} Use only the text below.`,
+        "",
+        "Text:",
+        items.map(item => `[${formatPageRange(item.page_start, item.page_end, unit)}]\n${item.text.trim()}`).join("\n\n"),
+        "",
+        mode === "outline" ? "Outline:" : "Summary:"
+    ].join("\n");
+}
+
+// Map-reduce summary over every chunk of one document. Chunks are batched
+// in reading order and summarized ("map"), then the partial summaries are
+// merged, in batches again if they are long, until one remains ("reduce").
+// Resolves to { summary, parts } where parts are the map summaries with the
+// page range each one covers.
+export async function summarizeChunks(chunks, { mode = "short", generate, batchTokens = DEFAULT_BATCH_TOKENS }) {
+    const ordered = [...chunks].sort((a, b) => a.chunk_index - b.chunk_index);
+    const unit = ordered[0]?.page_unit ?? "page";
+
+    const parts = [];
+    for (const batch of batchByTokens(ordered, batchTokens)) {
+        const span = spanOf(batch);
+        const prompt = buildPrompt(
+            `You are summarizing part of a longer document (${formatPageRange(span.page_start, span.page_end, unit)}).`,
+            MAP_INSTRUCTIONS[mode],
+            batch,
+            mode,
+            unit
+        );
+        parts.push({ ...span, summary: (await generate(prompt)).trim() });
+    }
+    logger.debug("Summarized document", { chunks: ordered.length, parts: parts.length, mode });
+
+    let notes = parts.map(part => ({ text: part.summary, page_start: part.page_start, page_end: part.page_end }));
+    do {
+        let batches = batchByTokens(notes, batchTokens);
+        // Notes too long to pair up are merged in one go so the loop ends
+        if (notes.length > 1 && batches.length === notes.length) batches = [notes];
+        const merged = [];
+        for (const batch of batches) {
+            const prompt = buildPrompt(
+                "Below are notes on consecutive parts of a document, in order.",
+                REDUCE_INSTRUCTIONS[mode],
+                batch,
+                mode,
+                unit
+            );
+            merged.push({ ...spanOf(batch), text: (await generate(prompt)).trim() });
+        }
+        notes = merged;
+    } while (notes.length > 1);
+
+    return { summary: notes[0]?.text || "", parts };
+}
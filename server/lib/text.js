@@ -0,0 +1,163 @@
+// Text normalization in two layers:
+//   normalizeText - faithful text for storage and display: mojibake repaired,
+//                   compatibility forms folded, hyphenation and wrapped lines
+//                   fixed, but symbols such as "x²", "₹500" and "∠ABC" kept.
+//   toSearchText  - the same text with symbols spelled out ("x^2",
+//                   "rupees 500", "angle ABC") for embedding and keyword search.
+
+// Windows-1252 characters for bytes 0x80-0x9F; the rest of 0x80-0xFF maps
+// to the same code point (Latin-1)
+const CP1252_BYTES = new Map([
+    ["€", 0x80], ["‚", 0x82], ["ƒ", 0x83], ["„", 0x84], ["…", 0x85],
+    ["†", 0x86], ["‡", 0x87], ["ˆ", 0x88], ["‰", 0x89], ["Š", 0x8A],
+    ["‹", 0x8B], ["Œ", 0x8C], ["Ž", 0x8E], ["‘", 0x91], ["’", 0x92],
+    ["“", 0x93], ["”", 0x94], ["•", 0x95], ["–", 0x96], ["—", 0x97],
+    ["˜", 0x98], ["™", 0x99], ["š", 0x9A], ["›", 0x9B], ["œ", 0x9C],
+    ["ž", 0x9E], ["Ÿ", 0x9F]
+]);
+
+// Superscripts, subscripts, fractions, number forms and letterlike symbols
+// lose meaning under NFKC ("x²" -> "x2", "ℝ" -> "R"), so they are kept as is
+const NFKC_UNSAFE = /[²³¹¼-¾⁰-₟℀-↏]+/g;
+const NFKC_SAFE = /[^²³¹¼-¾⁰-₟℀-↏\n]+/g;
+
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁼⁽⁾ⁿⁱ";
+const SUPERSCRIPT_PLAIN = "0123456789+-=()ni";
+const SUBSCRIPTS = "₀₁₂₃₄₅₆₇₈₉₊₋₌₍₎ₐₑₒₓₙ";
+const SUBSCRIPT_PLAIN = "0123456789+-=()aeoxn";
+
+// Searchable spellings for symbols common in maths and science worksheets
+const SYMBOL_WORDS = {
+    "°": " degrees ",
+    "∠": " angle ",
+    "∡": " angle ",
+    "△": " triangle ",
+    "∆": " triangle ",
+    "Δ": " delta ",
+    "π": " pi ",
+    "√": " sqrt ",
+    "∛": " cube root ",
+    "∞": " infinity ",
+    "≤": " less than or equal to ",
+    "≥": " greater than or equal to ",
+    "≠": " not equal to ",
+    "≈": " approximately ",
+    "≅": " congruent to ",
+    "∼": " similar to ",
+    "∥": " parallel to ",
+    "⊥": " perpendicular to ",
+    "×": " times ",
+    "÷": " divided by ",
+    "±": " plus or minus ",
+    "∴": " therefore ",
+    "∵": " because ",
+    "∑": " sum ",
+    "∫": " integral ",
+    "∈": " in ",
+    "∉": " not in ",
+    "⊂": " subset of ",
+    "∪": " union ",
+    "∩": " intersection ",
+    "→": " to ",
+    "⇒": " implies ",
+    "⇔": " if and only if ",
+    "₹": " rupees ",
+    "€": " euros ",
+    "£": " pounds ",
+    "¥": " yen ",
+    "$": " dollars ",
+    "%": " percent ",
+    "–": " - ",
+    "—": " - ",
+    "‘": "'",
+    "’": "'",
+    "“": "\"",
+    "”": "\""
+};
+const SYMBOL_PATTERN = new RegExp(`[${Object.keys(SYMBOL_WORDS).join("").replace(/[\]\\^$-]/g, "\\$&")}]`, "g");
+
+const MIN_EMBED_LENGTH = 10;
+const MAX_EMBED_LENGTH = 8000;
+
+function toByte(char) {
+    if (CP1252_BYTES.has(char)) return CP1252_BYTES.get(char);
+    const code = char.charCodeAt(0);
+    return code >= 0x80 && code <= 0xFF ? code : null;
+}
+
+// Undo UTF-8 that was decoded as Windows-1252/Latin-1 somewhere upstream
+// ("Â°" -> "°", "âˆ " -> "∠", "â‚¹" -> "₹"). Each candidate sequence is
+// re-encoded and kept only if it decodes as valid UTF-8, so ordinary
+// accented text is left alone.
+export function repairMojibake(text) {
+    const decoder = new TextDecoder("utf-8", { fatal: true });
+    let result = "";
+    let i = 0;
+    while (i < text.length) {
+        const lead = text.charCodeAt(i);
+        const length = lead >= 0xC2 && lead <= 0xDF ? 2 : lead >= 0xE0 && lead <= 0xEF ? 3 : lead >= 0xF0 && lead <= 0xF4 ? 4 : 0;
+        if (length && i + length <= text.length) {
+            const bytes = [lead];
+            for (let j = 1; j < length; j++) {
+                let byte = toByte(text[i + j]);
+                // A trailing 0xA0 byte often shows up as a plain space
+                if (byte === null && text[i + j] === " " && j === length - 1) byte = 0xA0;
+                if (byte === null || byte < 0x80 || byte > 0xBF) break;
+                bytes.push(byte);
+            }
+            if (bytes.length === length) {
+                try {
+                    result += decoder.decode(new Uint8Array(bytes));
+                    i += length;
+                    continue;
+                } catch {
+                    // Not UTF-8 after all; keep the original characters
+                }
+            }
+        }
+        result += text[i];
+        i++;
+    }
+    return result;
+}
+
+// Faithful normalization for stored and displayed text. Keeps line breaks
+// (joining lines that were only wrapped) and every meaningful symbol.
+export function normalizeText(text) {
+    if (!text || typeof text !== "string") return "";
+    return repairMojibake(text)
+        .replace(/\r\n?/g, "\n")
+        .replace(NFKC_SAFE, safe => safe.normalize("NFKC"))
+        .replace(/[\u00AD\u200B-\u200D\u2060\uFEFF]/g, "") // Soft hyphens and zero-width characters
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F-\u009F]/g, " ") // Control characters
+        .replace(/[ \t\u00A0]+/g, " ")
+        .replace(/ *\n */g, "\n")
+        // "exam-\nple" -> "example" when a word was split across lines
+        .replace(/(\p{Ll})-\n(\p{Ll})/gu, "$1$2")
+        // Lines that were only wrapped continue with a lowercase word
+        .replace(/([^\n.!?:;])\n(?=\p{Ll})/gu, "$1 ")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+// Spell out symbols so they can be embedded and keyword-matched:
+// superscripts become "^n", subscripts "_n", fractions "1/2" and operators,
+// units and currencies their names. The result is a single line.
+export function toSearchText(text) {
+    return normalizeText(text)
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁼⁽⁾ⁿⁱ]+/g, run => `^${[...run].map(c => SUPERSCRIPT_PLAIN[SUPERSCRIPTS.indexOf(c)]).join("")}`)
+        .replace(/[₀₁₂₃₄₅₆₇₈₉₊₋₌₍₎ₐₑₒₓₙ]+/g, run => `_${[...run].map(c => SUBSCRIPT_PLAIN[SUBSCRIPTS.indexOf(c)]).join("")}`)
+        .replace(/[¼-¾⅐-⅟]/g, fraction => ` ${fraction.normalize("NFKC").replace("⁄", "/")} `)
+        .replace(SYMBOL_PATTERN, symbol => SYMBOL_WORDS[symbol])
+        .replace(NFKC_UNSAFE, rest => rest.normalize("NFKC"))
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Text sent to the embedding model and used as the search query: the search
+// form, dropped when too short to be meaningful and capped in length
+export function cleanText(text) {
+    const cleaned = toSearchText(text);
+    if (cleaned.length < MIN_EMBED_LENGTH) return "";
+    return cleaned.length > MAX_EMBED_LENGTH ? cleaned.substring(0, MAX_EMBED_LENGTH) : cleaned;
+}
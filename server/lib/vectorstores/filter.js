@@ -0,0 +1,26 @@
+// Minimal evaluator for Pinecone-style metadata filters, so the local store
+// and the Pinecone fallbacks accept the same filter objects.
+// Supports plain equality plus $eq, $ne, $in, $nin and top-level $and / $or.
+export function matchesFilter(metadata = {}, filter = {}) {
+    if (!filter) return true;
+
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === "$and") return condition.every(sub => matchesFilter(metadata, sub));
+        if (key === "$or") return condition.some(sub => matchesFilter(metadata, sub));
+
+        const value = metadata[key];
+        if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+            return value === condition;
+        }
+
+        return Object.entries(condition).every(([op, operand]) => {
+            switch (op) {
+                case "$eq": return value === operand;
+                case "$ne": return value !== operand;
+                case "$in": return operand.includes(value);
+                case "$nin": return !operand.includes(value);
+                default: throw new Error(`Unsupported filter operator: ${op}`);
+            }
+        });
+    });
+}
@@ -0,0 +1,29 @@
+import path from "path";
+import { createLocalVectorStore } from "./local.js";
+import { createPineconeVectorStore } from "./pinecone.js";
+
+// Every vector store exposes the same interface:
+//   upsert(vectors)            - [{ id, values, metadata }]
+//   query({ vector, topK, filter }) -> [{ id, score, metadata }]
+//   fetch(ids)                 -> [{ id, metadata }] for the IDs that exist
+//   delete(ids)                -> number of deleted vectors
+//   deleteByFilter(filter)     -> number of deleted vectors
+//   listBySession(sessionId)   -> [{ id, metadata }]
+// Filters use Pinecone's metadata filter syntax (see filter.js).
+export function createVectorStore(env = process.env) {
+    const kind = (env.VECTOR_STORE || (env.PINECONE_API_KEY ? "pinecone" : "local")).toLowerCase();
+
+    switch (kind) {
+        case "pinecone":
+            return createPineconeVectorStore({
+                apiKey: env.PINECONE_API_KEY,
+                indexName: env.PINECONE_INDEX || "pdf-qa"
+            });
+        case "local":
+            return createLocalVectorStore({
+                filePath: path.resolve(env.LOCAL_VECTOR_STORE_PATH || path.join(env.DATA_DIR || "data", "vectors.json"))
+            });
+        default:
+            throw new Error(`Unknown VECTOR_STORE "${kind}" (expected "pinecone" or "local")`);
+    }
+}
@@ -0,0 +1,102 @@
+import fs from "fs/promises";
+import { createWriteQueue, writeFileAtomic } from "../writes.js";
+import { matchesFilter } from "./filter.js";
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    const len = Math.min(a.length, b.length);
+    for (let i = 0; i < len; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// File-backed vector store with exact cosine search. Every record lives in
+// memory and the whole set is rewritten to disk after each mutation, which is
+// fine for the few thousand chunks a handful of PDFs produce.
+export function createLocalVectorStore({ filePath }) {
+    const records = new Map();
+    let loaded = null;
+    const writes = createWriteQueue();
+
+    function load() {
+        if (!loaded) {
+            loaded = fs.readFile(filePath, "utf8")
+                .then(raw => {
+                    for (const record of JSON.parse(raw)) records.set(record.id, record);
+                })
+                .catch(err => {
+                    if (err.code !== "ENOENT") throw err;
+                });
+        }
+        return loaded;
+    }
+
+    function persist() {
+        return writes.run(() => writeFileAtomic(filePath, JSON.stringify([...records.values()])));
+    }
+
+    return {
+        name: "local",
+
+        async upsert(vectors) {
+            await load();
+            for (const { id, values, metadata } of vectors) {
+                records.set(id, { id, values, metadata: metadata || {} });
+            }
+            await persist();
+        },
+
+        async query({ vector, topK = 4, filter }) {
+            await load();
+            const scored = [];
+            for (const record of records.values()) {
+                if (!matchesFilter(record.metadata, filter)) continue;
+                scored.push({
+                    id: record.id,
+                    score: cosineSimilarity(vector, record.values),
+                    metadata: record.metadata
+                });
+            }
+            scored.sort((a, b) => b.score - a.score);
+            return scored.slice(0, topK);
+        },
+
+        async fetch(ids) {
+            await load();
+            return ids
+                .filter(id => records.has(id))
+                .map(id => ({ id, metadata: records.get(id).metadata }));
+        },
+
+        async delete(ids) {
+            await load();
+            const deleted = ids.filter(id => records.delete(id)).length;
+            if (deleted > 0) await persist();
+            return deleted;
+        },
+
+        async deleteByFilter(filter) {
+            await load();
+            let deleted = 0;
+            for (const record of [...records.values()]) {
+                if (matchesFilter(record.metadata, filter)) {
+                    records.delete(record.id);
+                    deleted++;
+                }
+            }
+            if (deleted > 0) await persist();
+            return deleted;
+        },
+
+        async listBySession(sessionId) {
+            await load();
+            return [...records.values()]
+                .filter(record => record.metadata.session_id === sessionId)
+                .map(({ id, metadata }) => ({ id, metadata }));
+        }
+    };
+}
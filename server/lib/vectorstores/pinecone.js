@@ -0,0 +1,101 @@
+import { Pinecone } from "@pinecone-database/pinecone";
+import { matchesFilter } from "./filter.js";
+
+const UPSERT_BATCH_SIZE = 100;
+const FETCH_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+
+// Pinecone-backed vector store. Vector IDs are prefixed with the session ID,
+// so listing a session uses ID-prefix pagination instead of a dummy-vector
+// query (which is capped by topK and meaningless on cosine indexes).
+export function createPineconeVectorStore({ apiKey, indexName }) {
+    const pc = new Pinecone({ apiKey });
+    const index = pc.index(indexName);
+
+    async function listIds(prefix) {
+        const ids = [];
+        let paginationToken;
+        do {
+            const page = await index.listPaginated({ prefix, paginationToken });
+            ids.push(...(page.vectors || []).map(v => v.id));
+            paginationToken = page.pagination?.next;
+        } while (paginationToken);
+        return ids;
+    }
+
+    async function listBySession(sessionId) {
+        const ids = await listIds(`${sessionId}_`);
+        const records = [];
+        for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+            const batch = ids.slice(i, i + FETCH_BATCH_SIZE);
+            const result = await index.fetch(batch);
+            for (const record of Object.values(result.records || {})) {
+                // Guard against other sessions whose IDs share the prefix
+                if (record.metadata?.session_id !== sessionId) continue;
+                records.push({ id: record.id, metadata: record.metadata });
+            }
+        }
+        return records;
+    }
+
+    return {
+        name: "pinecone",
+
+        async upsert(vectors) {
+            for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+                await index.upsert(vectors.slice(i, i + UPSERT_BATCH_SIZE));
+            }
+        },
+
+        async query({ vector, topK = 4, filter }) {
+            const response = await index.query({
+                vector,
+                topK,
+                includeMetadata: true,
+                filter
+            });
+            return (response.matches || []).map(m => ({
+                id: m.id,
+                score: m.score,
+                metadata: m.metadata || {}
+            }));
+        },
+
+        async fetch(ids) {
+            const records = [];
+            for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+                const result = await index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+                for (const record of Object.values(result.records || {})) {
+                    records.push({ id: record.id, metadata: record.metadata || {} });
+                }
+            }
+            return records;
+        },
+
+        // Pinecone doesn't report how many IDs existed, so this counts all of them
+        async delete(ids) {
+            for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+                await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+            }
+            return ids.length;
+        },
+
+        // Serverless indexes don't support delete-by-metadata, so resolve the
+        // filter against the session's records and delete by ID
+        async deleteByFilter(filter) {
+            if (typeof filter?.session_id !== "string") {
+                throw new Error("Pinecone deleteByFilter requires a session_id in the filter");
+            }
+            const ids = (await listBySession(filter.session_id))
+                .filter(record => matchesFilter(record.metadata, filter))
+                .map(record => record.id);
+
+            for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+                await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+            }
+            return ids.length;
+        },
+
+        listBySession
+    };
+}
@@ -0,0 +1,160 @@
+// Rule-based parser for worksheet-style documents: "Section – A" headers,
+// "(1 x 10 = 10)" marks schemes, numbered questions and "(a) ... (d)"
+// options laid out on one or more lines.
+
+const SECTION_PATTERN = /^section\s*[–—-]?\s*([A-Z0-9]+)\b/i;
+const MARKS_SCHEME_PATTERN = /\(\s*(\d+(?:\.\d+)?)\s*[x×*]\s*(\d+)\s*=\s*(\d+(?:\.\d+)?)\s*\)/i;
+const MAX_MARKS_PATTERN = /(?:max(?:imum)?\.?\s*marks|total\s*marks)\s*[-:–—]?\s*(\d+(?:\.\d+)?)/i;
+const QUESTION_PATTERN = /^(?:Q\.?\s*)?(\d{1,3})\s*[.)]\s+(.*)$/i;
+const OPTION_PATTERN = /\(([a-h])\)\s*(.*?)(?=\s*\([a-h]\)|$)/gi;
+const INSTRUCTION_PATTERN = /^(choose|fill|answer|attempt|write|match|state|select|solve|read|tick|define)\b/i;
+const BLANK_PATTERN = /(?:\.\s*){4,}|_{3,}/g;
+
+// Collapses whitespace and drops control characters left by broken glyphs
+function squeeze(text) {
+    return text.replace(/[\u0000-\u001F\u007F\s]+/g, " ").trim();
+}
+
+// Runs of dots or underscores become a uniform "____" blank
+function normalizeBlanks(text) {
+    return squeeze(text.replace(BLANK_PATTERN, " ____ ")).replace(/____ ([.?!])$/, "____$1");
+}
+
+function parseOptions(line) {
+    return [...line.matchAll(OPTION_PATTERN)].map(match => ({
+        label: match[1].toLowerCase(),
+        text: squeeze(match[2])
+    }));
+}
+
+function questionType(question) {
+    if (question.options.length >= 2) return "mcq";
+    if (question.question.includes("____")) return "fill_blank";
+    return "short_answer";
+}
+
+// Parses worksheet pages into { header, max_marks, total_marks, sections,
+// questions }. Each question carries its number, section, marks, type
+// ("mcq", "fill_blank" or "short_answer"), text, options, the instruction
+// it was listed under and the 1-based page it starts on.
+export function parseQuestionBank(pages) {
+    const header = [];
+    const sections = [];
+    const questions = [];
+    let maxMarks = null;
+    let section = null;
+    let instruction = null;
+    let current = null;
+
+    const finish = () => {
+        if (!current) return;
+        current.question = normalizeBlanks(current.question);
+        current.type = questionType(current);
+        questions.push(current);
+        if (section) section.question_count++;
+        current = null;
+    };
+
+    pages.forEach((pageText, pageIndex) => {
+        for (const rawLine of pageText.split("\n")) {
+            let line = squeeze(rawLine);
+            if (!line) continue;
+
+            const maxMarksMatch = line.match(MAX_MARKS_PATTERN);
+            if (maxMarksMatch && maxMarks === null) {
+                maxMarks = Number(maxMarksMatch[1]);
+                line = squeeze(line.replace(maxMarksMatch[0], ""));
+                if (!line) continue;
+            }
+
+            const sectionMatch = line.match(SECTION_PATTERN);
+            if (sectionMatch) {
+                finish();
+                section = { name: sectionMatch[1].toUpperCase(), marks_per_question: null, total_marks: null, question_count: 0 };
+                sections.push(section);
+                instruction = null;
+                const scheme = line.match(MARKS_SCHEME_PATTERN);
+                if (scheme) {
+                    section.marks_per_question = Number(scheme[1]);
+                    section.total_marks = Number(scheme[3]);
+                }
+                continue;
+            }
+
+            const scheme = line.match(MARKS_SCHEME_PATTERN);
+            if (scheme && scheme[0].length >= line.length - 2) {
+                // A marks scheme on its own line belongs to the section above
+                if (section && section.marks_per_question === null) {
+                    section.marks_per_question = Number(scheme[1]);
+                    section.total_marks = Number(scheme[3]);
+                }
+                continue;
+            }
+
+            const questionMatch = line.match(QUESTION_PATTERN);
+            if (questionMatch && !/^\(/.test(questionMatch[2])) {
+                finish();
+                current = {
+                    number: Number(questionMatch[1]),
+                    section: section ? section.name : null,
+                    marks: section ? section.marks_per_question : null,
+                    type: null,
+                    question: questionMatch[2],
+                    options: [],
+                    instruction,
+                    page: pageIndex + 1
+                };
+                continue;
+            }
+
+            if (/^\([a-h]\)/i.test(line)) {
+                if (current) current.options.push(...parseOptions(line));
+                continue;
+            }
+
+            if (line.endsWith(":") && (!current || current.options.length || INSTRUCTION_PATTERN.test(line))) {
+                finish();
+                instruction = squeeze(line.replace(/\s*:$/, ""));
+                continue;
+            }
+
+            if (current) {
+                if (current.options.length) {
+                    const last = current.options[current.options.length - 1];
+                    last.text = squeeze(`${last.text} ${line}`);
+                } else {
+                    current.question += ` ${line}`;
+                }
+            } else if (!sections.length) {
+                header.push(line);
+            }
+        }
+    });
+    finish();
+
+    const totalMarks = questions.every(q => q.marks !== null)
+        ? questions.reduce((sum, q) => sum + q.marks, 0)
+        : null;
+    return { header, max_marks: maxMarks, total_marks: totalMarks, sections, questions };
+}
+
+// Flat rows for CSV export, one per question with an option_<label> column
+// for every option label used in the document
+export function questionBankRows(bank) {
+    const labels = [...new Set(bank.questions.flatMap(q => q.options.map(o => o.label)))].sort();
+    return bank.questions.map(q => {
+        const row = {
+            number: q.number,
+            section: q.section,
+            marks: q.marks,
+            type: q.type,
+            question: q.question,
+            instruction: q.instruction,
+            page: q.page
+        };
+        for (const label of labels) {
+            row[`option_${label}`] = q.options.find(o => o.label === label)?.text ?? null;
+        }
+        return row;
+    });
+}
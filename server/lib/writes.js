@@ -0,0 +1,37 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Serializes the writes of a file-backed store so they land in call order.
+// Writes sharing a key run one at a time; different keys (one file per
+// session, say) do not wait on each other. A failed write rejects for its
+// caller only and the next one still runs. Keys are dropped once their last
+// write settles.
+export function createWriteQueue() {
+    const tails = new Map();
+
+    return {
+        run(task, key = null) {
+            const next = (tails.get(key) || Promise.resolve()).catch(() => {}).then(task);
+            tails.set(key, next);
+            const forget = () => {
+                if (tails.get(key) === next) tails.delete(key);
+            };
+            next.then(forget, forget);
+            return next;
+        },
+
+        // Number of keys with a write in flight
+        get size() {
+            return tails.size;
+        }
+    };
+}
+
+// Writes through a temporary file and renames it into place, so a crash
+// mid-write never leaves a truncated file behind
+export async function writeFileAtomic(filePath, data, options) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, data, options);
+    await fs.rename(tmpPath, filePath);
+}
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+describe("session access", () => {
+    let server;
+    let owner;
+    let other;
+
+    before(async () => {
+        server = await startServer({
+            // A session from before sessions had owners
+            setup: dataDir => fs.writeFile(path.join(dataDir, "sessions.json"), JSON.stringify([{
+                id: "legacy",
+                title: null,
+                message_count: 0,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            }]))
+        });
+        owner = await server.register("owner");
+        other = await server.register("other");
+        const form = new FormData();
+        form.append("sessionId", "claimed");
+        form.append("file", new Blob(["A square has four equal sides."]), "notes.txt");
+        const res = await fetch(`${server.url}/api/upload`, { method: "POST", headers: owner, body: form });
+        assert.equal(res.status, 202);
+    });
+    after(() => server.stop());
+
+    function post(route, headers, body) {
+        return fetch(`${server.url}${route}`, {
+            method: "POST",
+            headers: { ...headers, "content-type": "application/json" },
+            body: JSON.stringify(body)
+        });
+    }
+
+    test("the owner can use their session", async () => {
+        const res = await fetch(`${server.url}/api/session/claimed/documents`, { headers: owner });
+        assert.equal(res.status, 200);
+    });
+
+    test("other users get 403 on a claimed session", async () => {
+        assert.equal((await fetch(`${server.url}/api/session/claimed/documents`, { headers: other })).status, 403);
+        assert.equal((await post("/api/clear-session", other, { sessionId: "claimed" })).status, 403);
+        assert.equal((await post("/api/ask", other, { sessionId: "claimed", question: "How many sides?" })).status, 403);
+    });
+
+    test("every user gets 403 on an ownerless session", async () => {
+        for (const user of [owner, other]) {
+            assert.equal((await fetch(`${server.url}/api/session/legacy/documents`, { headers: user })).status, 403);
+            assert.equal((await post("/api/clear-session", user, { sessionId: "legacy" })).status, 403);
+            assert.equal((await post("/api/ask", user, { sessionId: "legacy", question: "How many sides?" })).status, 403);
+        }
+    });
+
+    test("unknown sessions are not found until a route claims them", async () => {
+        assert.equal((await post("/api/clear-session", other, { sessionId: "fresh" })).status, 404);
+        assert.equal((await post("/api/ask", other, { sessionId: "fresh", question: "How many sides?" })).status, 200);
+        assert.equal((await fetch(`${server.url}/api/session/fresh/documents`, { headers: other })).status, 200);
+        assert.equal((await fetch(`${server.url}/api/session/fresh/documents`, { headers: owner })).status, 403);
+    });
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+describe("relevance threshold", () => {
+    let server;
+    let user;
+
+    before(async () => {
+        server = await startServer({ env: { MIN_RELEVANCE_SCORE: "0.99" } });
+        user = await server.register("asker");
+        const job = await server.upload(user, "s1", "notes.txt", "A square has four equal sides. A triangle has three sides.");
+        assert.equal(job.status, "completed");
+    });
+    after(() => server.stop());
+
+    async function ask(body) {
+        const res = await fetch(`${server.url}/api/ask`, {
+            method: "POST",
+            headers: { ...user, "content-type": "application/json" },
+            body: JSON.stringify({ sessionId: "s1", question: "How many sides does a square have?", mode: "dense", ...body })
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    test("the configured threshold gates the answer", async () => {
+        const { status, body } = await ask({});
+        assert.equal(status, 200);
+        assert.equal(body.not_found, true);
+    });
+
+    test("a request cannot lower the threshold", async () => {
+        const { body } = await ask({ minScore: 0 });
+        assert.equal(body.not_found, true);
+    });
+
+    test("a request can raise the threshold but must send a valid score", async () => {
+        assert.equal((await ask({ minScore: 1 })).body.not_found, true);
+        assert.equal((await ask({ minScore: 2 })).status, 400);
+    });
+});
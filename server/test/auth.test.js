@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { checkCredentials, createTokenSigner, createUserStore, hashPassword, publicUser, verifyPassword } from "../lib/auth.js";
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-auth-"));
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+const user = { id: "user-1", username: "alice" };
+
+describe("access tokens", () => {
+    const signer = createTokenSigner({ secret: "test-secret", ttlSeconds: 3600 });
+
+    test("a signed token verifies to its claims", () => {
+        const { token, expires_at: expiresAt } = signer.sign(user);
+        const claims = signer.verify(token);
+        assert.equal(claims.sub, "user-1");
+        assert.equal(claims.name, "alice");
+        assert.equal(claims.exp * 1000, Date.parse(expiresAt));
+    });
+
+    test("a tampered token is rejected", () => {
+        const { token } = signer.sign(user);
+        const [payload, signature] = token.split(".");
+        const forged = Buffer.from(JSON.stringify({ sub: "admin", name: "admin", exp: 9999999999 })).toString("base64url");
+        assert.equal(signer.verify(`${forged}.${signature}`), null);
+        assert.equal(signer.verify(`${payload}.${signature.slice(0, -2)}xx`), null);
+        assert.equal(createTokenSigner({ secret: "other-secret", ttlSeconds: 3600 }).verify(token), null);
+    });
+
+    test("an expired token is rejected", () => {
+        const expired = createTokenSigner({ secret: "test-secret", ttlSeconds: -1 }).sign(user);
+        assert.equal(signer.verify(expired.token), null);
+    });
+
+    test("malformed tokens are rejected", () => {
+        for (const token of [undefined, "", "abc", "abc.", ".abc", "a.b.c"]) {
+            assert.equal(signer.verify(token), null);
+        }
+    });
+});
+
+describe("passwords", () => {
+    test("verify against their salted hash only", async () => {
+        const stored = await hashPassword("correct horse");
+        assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.notEqual(stored, await hashPassword("correct horse"));
+        assert.equal(await verifyPassword("correct horse", stored), true);
+        assert.equal(await verifyPassword("wrong horse", stored), false);
+        assert.equal(await verifyPassword("correct horse", "plain"), false);
+    });
+
+    test("checkCredentials reports unusable usernames and passwords", () => {
+        assert.equal(checkCredentials("alice", "password123"), null);
+        assert.match(checkCredentials("al", "password123"), /Username/);
+        assert.match(checkCredentials("al ice", "password123"), /Username/);
+        assert.match(checkCredentials("alice", "short"), /Password/);
+    });
+});
+
+describe("user store", () => {
+    const store = createUserStore({ filePath: path.join(tmpRoot, "users.json") });
+
+    test("authenticates with the right password only", async () => {
+        const created = await store.create("Alice", "password123");
+        assert.equal((await store.authenticate("alice", "password123")).id, created.id);
+        assert.equal(await store.authenticate("alice", "password124"), null);
+        assert.equal(await store.authenticate("bob", "password123"), null);
+    });
+
+    test("usernames are unique regardless of case", async () => {
+        assert.equal(await store.create("ALICE", "password123"), null);
+    });
+
+    test("public users leave out the password hash", async () => {
+        const created = await store.create("carol", "password123");
+        assert.deepEqual(Object.keys(publicUser(created)).sort(), ["created_at", "id", "username"]);
+    });
+
+    test("accounts persist across store instances", async () => {
+        const reopened = createUserStore({ filePath: path.join(tmpRoot, "users.json") });
+        assert.ok(await reopened.authenticate("carol", "password123"));
+    });
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { chunkPages, countTokens, parseChunkingOption } from "../lib/chunking.js";
+
+const words = (count, prefix = "w") => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(" ");
+
+describe("countTokens", () => {
+    test("counts words, numbers and punctuation runs", () => {
+        assert.equal(countTokens("A square has 4 sides."), 6);
+        assert.equal(countTokens("called a ........ ."), 4);
+        assert.equal(countTokens(""), 0);
+    });
+});
+
+describe("chunkPages", () => {
+    test("fixed windows stay within the chunk size and overlap by up to `overlap` tokens", () => {
+        const { strategy, chunks } = chunkPages([words(50)], { strategy: "fixed", chunkSize: 20, overlap: 5 });
+        assert.equal(strategy, "fixed");
+        assert.deepEqual(chunks.map(chunk => chunk.text), [
+            words(50).split(" ").slice(0, 20).join(" "),
+            words(50).split(" ").slice(15, 35).join(" "),
+            words(50).split(" ").slice(30, 50).join(" ")
+        ]);
+        assert.ok(chunks.every(chunk => countTokens(chunk.text) <= 20));
+    });
+
+    test("without overlap every word appears once", () => {
+        const { chunks } = chunkPages([words(45)], { strategy: "fixed", chunkSize: 20, overlap: 0 });
+        assert.deepEqual(chunks.map(chunk => countTokens(chunk.text)), [20, 20, 5]);
+        assert.equal(chunks.map(chunk => chunk.text).join(" "), words(45));
+    });
+
+    test("paragraphs are kept whole and packed together", () => {
+        const { chunks } = chunkPages(["First paragraph here.\n\nSecond one.\n\nThird paragraph is here."], { strategy: "paragraph", chunkSize: 7, overlap: 0 });
+        assert.deepEqual(chunks.map(chunk => chunk.text), ["First paragraph here.\nSecond one.", "Third paragraph is here."]);
+    });
+
+    test("tracks the pages each chunk spans", () => {
+        const { chunks } = chunkPages(["Alpha text on one.", "Beta text on two.", "Gamma text on three."], { strategy: "paragraph", chunkSize: 10, overlap: 0 });
+        assert.deepEqual(chunks.map(({ page_start, page_end }) => [page_start, page_end]), [[1, 2], [3, 3]]);
+    });
+
+    test("pieces of a paragraph split across a page break keep their own page", () => {
+        const { chunks } = chunkPages(["Para one has words here.\n\nPara two on page one.", "Page two paragraph text."], { strategy: "paragraph", chunkSize: 8, overlap: 0 });
+        assert.deepEqual(chunks.map(chunk => [chunk.text, chunk.page_start, chunk.page_end]), [
+            ["Para one has words here.", 1, 1],
+            ["Para two on page one.", 1, 1],
+            ["Page two paragraph text.", 2, 2]
+        ]);
+    });
+
+    test("headings start a new chunk and carry no overlap", () => {
+        const { strategy, chunks } = chunkPages(["# Intro\nFirst part text.\n# Methods\nSecond part text."], { chunkSize: 100, overlap: 20 });
+        assert.equal(strategy, "heading");
+        assert.deepEqual(chunks.map(chunk => chunk.text), ["# Intro\nFirst part text.", "# Methods\nSecond part text."]);
+    });
+
+    test("chunks that start mid-section are prefixed with their heading", () => {
+        const body = ["One sentence here.", "Two sentence here.", "Three sentence here."].join("\n\n");
+        const { chunks } = chunkPages([`# Notes\n${body}`], { strategy: "heading", chunkSize: 8, overlap: 0 });
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.text.startsWith("# Notes\n")));
+    });
+
+    test("numbered items keep their options and are detected automatically", () => {
+        const page = "1. What is x?\n(a) one (b) two\n2. What is y?\n(a) three (b) four\n3. Why z?";
+        const { strategy, chunks } = chunkPages([page], { chunkSize: 16, overlap: 0 });
+        assert.equal(strategy, "numbered");
+        assert.deepEqual(chunks.map(chunk => chunk.text), ["1. What is x?\n(a) one (b) two", "2. What is y?\n(a) three (b) four", "3. Why z?"]);
+    });
+});
+
+describe("parseChunkingOption", () => {
+    test("accepts a strategy name or a JSON object", () => {
+        assert.deepEqual(parseChunkingOption(undefined), {});
+        assert.deepEqual(parseChunkingOption("heading"), { strategy: "heading", chunkSize: undefined, overlap: undefined });
+        assert.deepEqual(parseChunkingOption("{\"strategy\":\"fixed\",\"chunkSize\":100,\"overlap\":10}"), { strategy: "fixed", chunkSize: 100, overlap: 10 });
+    });
+
+    test("rejects unknown strategies and out-of-range sizes", () => {
+        assert.throws(() => parseChunkingOption("sentences"), /Unknown chunking strategy/);
+        assert.throws(() => parseChunkingOption({ chunkSize: 10 }), /chunkSize/);
+        assert.throws(() => parseChunkingOption({ chunkSize: 100, overlap: 100 }), /overlap/);
+    });
+});
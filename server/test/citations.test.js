@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { findSupportingSnippet, resolveCitations } from "../lib/citations.js";
+
+// Worksheet text: several prompts end in a blank ("-") rather than a full stop
+const WORKSHEET = [
+    "Fill in the blanks",
+    "The sum of the measures of the exterior angles of any polygon is -",
+    "A regular polygon has all its sides equal and all its angles equal.",
+    "What is the measure of each of these equal angles ?",
+    "Each interior angle of a regular hexagon measures -"
+].join("\n");
+
+function chunk(text, index = 0) {
+    return { metadata: { text, source: "worksheet.pdf", document_id: "doc", chunk_index: index, page_start: 1, page_end: 1 } };
+}
+
+describe("findSupportingSnippet", () => {
+    test("matches lines without closing punctuation", () => {
+        const snippet = findSupportingSnippet(WORKSHEET, "The exterior angles of any polygon add up to 360 degrees.");
+        assert.equal(snippet.text, "The sum of the measures of the exterior angles of any polygon is -");
+        assert.equal(WORKSHEET.slice(snippet.start, snippet.end), snippet.text);
+    });
+
+    test("matches the last line when it has no closing punctuation", () => {
+        const snippet = findSupportingSnippet(WORKSHEET, "Each interior angle of a regular hexagon is 120 degrees.");
+        assert.equal(snippet.text, "Each interior angle of a regular hexagon measures -");
+    });
+
+    test("matches a sentence ending mid-line", () => {
+        const snippet = findSupportingSnippet("Angles add to 180. Sides are equal", "the sides are equal");
+        assert.deepEqual(snippet, { text: "Sides are equal", start: 19, end: 34 });
+    });
+
+    test("falls back to the whole chunk when no sentence shares a word", () => {
+        assert.equal(findSupportingSnippet(" Nothing here ", "xyz").text, "Nothing here");
+    });
+});
+
+describe("resolveCitations", () => {
+    test("attaches the snippet supporting each cited sentence", () => {
+        const { answer, citations, invalid } = resolveCitations(
+            "The exterior angles of any polygon sum to 360 degrees [1]. Regular polygons have equal angles. [2]",
+            [chunk(WORKSHEET), chunk("Its sides are all the same length\nand all its angles are equal", 1)]
+        );
+        assert.equal(answer, "The exterior angles of any polygon sum to 360 degrees [1]. Regular polygons have equal angles. [2]");
+        assert.deepEqual(invalid, []);
+        assert.equal(citations[0].snippet, "The sum of the measures of the exterior angles of any polygon is -");
+        assert.equal(citations[1].snippet, "and all its angles are equal");
+    });
+
+    test("removes markers for passages that don't exist", () => {
+        const { answer, citations, invalid } = resolveCitations("A claim [3].", [chunk(WORKSHEET)]);
+        assert.equal(answer, "A claim.");
+        assert.deepEqual(citations, []);
+        assert.deepEqual(invalid, [3]);
+    });
+});
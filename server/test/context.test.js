@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { assembleContext, clampTopK } from "../lib/context.js";
+
+// A chunk of `words` tokens at `index` in document "doc"
+function chunk(index, words, score = 0) {
+    return {
+        id: `doc_${index}`,
+        score,
+        metadata: { document_id: "doc", chunk_index: index, text: Array.from({ length: words }, (_, i) => `w${index}x${i}`).join(" ") }
+    };
+}
+
+const fetchFrom = all => async (selected, n) => all.filter(c =>
+    !selected.includes(c) && selected.some(s => Math.abs(s.metadata.chunk_index - c.metadata.chunk_index) <= n));
+
+describe("assembleContext", () => {
+    test("keeps the first match's neighbors within the token budget", async () => {
+        const all = [chunk(0, 40), chunk(1, 50, 1), chunk(2, 40)];
+        const { chunks, tokens } = await assembleContext([all[1]], {
+            topK: 1,
+            neighbors: 1,
+            tokenBudget: 60,
+            fetchNeighbors: fetchFrom(all)
+        });
+        assert.deepEqual(chunks.map(c => c.id), ["doc_1"]);
+        assert.equal(tokens, 50);
+    });
+
+    test("adds neighbors that fit, in document order", async () => {
+        const all = [chunk(0, 10), chunk(1, 50, 1), chunk(2, 40)];
+        const { chunks, tokens } = await assembleContext([all[1]], {
+            topK: 1,
+            neighbors: 1,
+            tokenBudget: 70,
+            fetchNeighbors: fetchFrom(all)
+        });
+        assert.deepEqual(chunks.map(c => [c.id, c.neighbor_of]), [["doc_0", "doc_1"], ["doc_1", undefined]]);
+        assert.equal(tokens, 60);
+    });
+
+    test("always keeps the best match, even over budget", async () => {
+        const { chunks, tokens } = await assembleContext([chunk(3, 80, 1), chunk(7, 10, 0.5)], {
+            topK: 2,
+            useMMR: false,
+            neighbors: 0,
+            tokenBudget: 50
+        });
+        assert.deepEqual(chunks.map(c => c.id), ["doc_3"]);
+        assert.equal(tokens, 80);
+    });
+});
+
+describe("clampTopK", () => {
+    test("clamps numbers and rejects non-numbers", () => {
+        assert.equal(clampTopK(undefined), 4);
+        assert.equal(clampTopK(50), 20);
+        assert.equal(clampTopK("0"), 1);
+        assert.equal(clampTopK("many"), null);
+        assert.equal(clampTopK(true), null);
+    });
+});
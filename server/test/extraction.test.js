@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { ExtractionError, checkSchema, extractWithSchema, parseJsonReply, validateAgainstSchema } from "../lib/extraction.js";
+
+const PERSON = {
+    type: "object",
+    required: ["name", "age"],
+    additionalProperties: false,
+    properties: {
+        name: { type: "string", minLength: 1, pattern: "^[A-Z]" },
+        age: { type: "integer", minimum: 0 },
+        tags: { type: "array", maxItems: 2, items: { enum: ["a", "b"] } }
+    }
+};
+
+describe("validateAgainstSchema", () => {
+    test("accepts a conforming value", () => {
+        assert.deepEqual(validateAgainstSchema({ name: "Ada", age: 36, tags: ["a"] }, PERSON), []);
+    });
+
+    test("reports each problem with its path", () => {
+        assert.deepEqual(validateAgainstSchema({ name: "ada", age: -1, tags: ["a", "c", "b"], extra: 1 }, PERSON), [
+            "$.name: must match /^[A-Z]/",
+            "$.age: must be >= 0",
+            "$.tags: must have at most 2 items",
+            "$.tags[1]: must be one of \"a\", \"b\"",
+            "$: unexpected property \"extra\""
+        ]);
+    });
+
+    test("reports missing properties and wrong types", () => {
+        assert.deepEqual(validateAgainstSchema({ age: "36" }, PERSON), [
+            "$: missing required property \"name\"",
+            "$.age: expected integer, got string"
+        ]);
+    });
+
+    test("accepts a value matching any anyOf branch", () => {
+        const schema = { anyOf: [{ type: "string" }, { type: "null" }] };
+        assert.deepEqual(validateAgainstSchema(null, schema), []);
+        assert.deepEqual(validateAgainstSchema(3, schema), ["$: does not match any of the allowed schemas"]);
+    });
+});
+
+describe("checkSchema", () => {
+    test("accepts a supported schema", () => {
+        assert.equal(checkSchema(PERSON), null);
+    });
+
+    test("rejects unsupported types and schemas without a type", () => {
+        assert.equal(checkSchema({ type: "date" }), "$: unsupported type \"date\"");
+        assert.equal(checkSchema({ description: "x" }), "$: schema needs a type, properties or anyOf");
+    });
+
+    test("rejects invalid patterns", () => {
+        assert.match(checkSchema({ type: "object", properties: { id: { type: "string", pattern: "(" } } }), /^\$\.id: invalid pattern/);
+        assert.match(checkSchema({ type: "string", pattern: 42 }), /^\$: pattern must be a string/);
+        assert.match(checkSchema({ type: "string", pattern: "a".repeat(201) }), /^\$: pattern must be a string of at most 200/);
+    });
+
+    test("rejects patterns prone to catastrophic backtracking", () => {
+        for (const pattern of ["(a+)+$", "^(\\w+\\s?)*$", "(a|ab)*c", "((ab)+)+", "(a?)+", "(x)\\1", "(?<q>a)\\k<q>",
+            "(a{1,}){1,}", "(a{1,3}){2,5}", "(a+){10}", "(?:\\w+\\s?){2,}$"]) {
+            assert.match(checkSchema({ type: "string", pattern }) || "", /pattern may be too slow/, pattern);
+        }
+    });
+
+    test("allows common patterns", () => {
+        for (const pattern of ["^\\d+(\\.\\d+)?$", "^[A-Z]{2,3}-\\d{4}$", "^(Mr|Mrs|Ms)\\.? \\w+$", "^[(a+)+]*$", "^(?:ab){3}$",
+            "^(\\d{3}-){2}\\d{4}$", "^((?:ab){3})+$", "(a{2}){2,}", "(a+){1}"]) {
+            assert.equal(checkSchema({ type: "string", pattern }), null, pattern);
+        }
+    });
+
+    test("rejects anyOf, enum and required that are not arrays", () => {
+        assert.equal(checkSchema({ anyOf: { type: "string" } }), "$: anyOf must be an array");
+        assert.equal(checkSchema({ type: "string", enum: "abc" }), "$: enum must be an array");
+        assert.equal(checkSchema({ type: "object", properties: { name: { type: "object", required: "first" } } }), "$.name: required must be an array");
+    });
+
+    test("checks additionalProperties schemas", () => {
+        assert.match(checkSchema({ type: "object", additionalProperties: { type: "string", pattern: "[" } }), /^\$\.\*: invalid pattern/);
+    });
+});
+
+describe("parseJsonReply", () => {
+    test("reads JSON inside code fences or prose", () => {
+        assert.deepEqual(parseJsonReply("```json\n{\"a\": 1}\n```"), { a: 1 });
+        assert.deepEqual(parseJsonReply("Here you go: [1, 2] done"), [1, 2]);
+        assert.throws(() => parseJsonReply("no json here"));
+    });
+});
+
+describe("extractWithSchema", () => {
+    test("retries with the validation errors until the reply conforms", async () => {
+        const prompts = [];
+        const replies = ["not json", "{\"name\": \"ada\", \"age\": 3}", "{\"name\": \"Ada\", \"age\": 3}"];
+        const result = await extractWithSchema({
+            generate: async prompt => { prompts.push(prompt); return replies[prompts.length - 1]; },
+            text: "Ada is 3.",
+            schema: PERSON
+        });
+        assert.deepEqual(result, { data: { name: "Ada", age: 3 }, attempts: 3 });
+        assert.match(prompts[1], /reply is not valid JSON/);
+        assert.match(prompts[2], /\$\.name: must match/);
+    });
+
+    test("throws ExtractionError after maxAttempts", async () => {
+        await assert.rejects(
+            extractWithSchema({ generate: async () => "{}", text: "", schema: PERSON, maxAttempts: 2 }),
+            err => err instanceof ExtractionError && err.attempts === 2 && err.raw === "{}"
+        );
+    });
+
+    test("rejects an invalid schema without calling the model", async () => {
+        let calls = 0;
+        await assert.rejects(
+            extractWithSchema({ generate: async () => { calls++; return "\"x\""; }, text: "", schema: { type: "string", pattern: "(" } }),
+            /Invalid schema: \$: invalid pattern/
+        );
+        assert.equal(calls, 0);
+    });
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import zlib from "node:zlib";
+import { PageLimitError, detectFileType, extractDocument } from "../lib/extractors/index.js";
+import { ZipLimitError, readZip } from "../lib/extractors/zip.js";
+
+const DATA = path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
+
+describe("page limit", () => {
+    const pdf = fs.readFileSync(path.join(DATA, "05-versions-space.pdf"));
+
+    test("extracts PDFs within the limit", async () => {
+        const { pages, numPages, unit } = await extractDocument("pdf", pdf, { maxPages: 2 });
+        assert.equal(numPages, 2);
+        assert.equal(pages.length, 2);
+        assert.equal(unit, "page");
+    });
+
+    test("rejects PDFs over the limit", async () => {
+        await assert.rejects(extractDocument("pdf", pdf, { maxPages: 1 }), PageLimitError);
+    });
+
+    test("rejects form-feed paginated text over the limit", async () => {
+        const text = Buffer.from("one\fsecond\fthird\f");
+        await assert.rejects(extractDocument("text", text, { maxPages: 2 }), PageLimitError);
+        assert.equal((await extractDocument("text", text, { maxPages: 3 })).numPages, 3);
+    });
+});
+
+describe("file type detection", () => {
+    const pdf = fs.readFileSync(path.join(DATA, "05-versions-space.pdf"));
+
+    test("recognizes PDFs by their header", () => {
+        assert.equal(detectFileType(pdf, "scan.bin"), "pdf");
+        assert.equal(detectFileType(Buffer.concat([Buffer.from("\uFEFF\r\n "), pdf]), "scan.pdf"), "pdf");
+    });
+
+    test("does not take text that mentions the header for a PDF", () => {
+        assert.equal(detectFileType(Buffer.from("Every PDF file starts with %PDF-1.7.\n"), "notes.txt"), "text");
+        assert.equal(detectFileType(Buffer.from("<!DOCTYPE html><p>%PDF-1.4</p>"), "page.html"), "html");
+        assert.equal(detectFileType(Buffer.from("# Formats\n\n%PDF- headers"), "notes.md"), "markdown");
+        assert.equal(detectFileType(Buffer.from("x%PDF-1.4"), "fake.pdf"), "text");
+    });
+});
+
+// A deflated ZIP archive of { name: contents }. `declaredSizes` overrides the
+// uncompressed sizes written to the central directory.
+function buildZip(files, { declaredSizes = {} } = {}) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, contents] of Object.entries(files)) {
+        const data = zlib.deflateRawSync(Buffer.from(contents));
+        const nameBytes = Buffer.from(name);
+        const size = declaredSizes[name] ?? Buffer.byteLength(contents);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(size, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+describe("ZIP limits", () => {
+    const documentXml = "<w:document><w:body><w:p><w:r><w:t>Hello</w:t></w:r></w:p></w:body></w:document>";
+
+    test("reads entries within the limits", () => {
+        const zip = readZip(buildZip({ "word/document.xml": documentXml }));
+        assert.equal(zip.read("word/document.xml").toString("utf8"), documentXml);
+        assert.equal(zip.read("word/styles.xml"), null);
+    });
+
+    test("does not read truncated archives", () => {
+        const archive = buildZip({ "word/document.xml": documentXml });
+        assert.equal(readZip(archive.subarray(0, archive.length - 10)), null);
+        assert.equal(detectFileType(archive.subarray(0, 40), "notes.docx"), null);
+
+        // An entry whose compressed data runs past the end of the archive
+        const cut = Buffer.from(archive);
+        const directory = cut.readUInt32LE(cut.length - 22 + 16);
+        cut.writeUInt32LE(archive.length, directory + 20);
+        assert.throws(() => readZip(cut).read("word/document.xml"), /Truncated ZIP entry/);
+
+        // A deflate stream cut short
+        const garbled = Buffer.from(archive);
+        garbled.writeUInt32LE(10, directory + 20);
+        assert.throws(() => readZip(garbled).read("word/document.xml"), /Corrupt ZIP entry/);
+    });
+
+    test("refuses archives with too many entries before reading them", () => {
+        const archive = buildZip({ a: "1", b: "2", c: "3" });
+        assert.throws(() => readZip(archive, { maxEntries: 2 }), ZipLimitError);
+    });
+
+    test("refuses entries declared larger than the limit before inflating", () => {
+        const archive = buildZip({ big: "x" }, { declaredSizes: { big: 2048 } });
+        assert.throws(() => readZip(archive, { maxEntryBytes: 1024 }).read("big"), ZipLimitError);
+    });
+
+    test("stops inflating entries that understate their size", () => {
+        const archive = buildZip({ bomb: "0".repeat(1024 * 1024) }, { declaredSizes: { bomb: 10 } });
+        assert.throws(() => readZip(archive, { maxEntryBytes: 1024 }).read("bomb"), ZipLimitError);
+    });
+
+    test("limits the bytes inflated from one archive in total", () => {
+        const zip = readZip(buildZip({ a: "a".repeat(600), b: "b".repeat(600) }), { maxTotalBytes: 1000 });
+        assert.equal(zip.read("a").length, 600);
+        assert.throws(() => zip.read("b"), ZipLimitError);
+    });
+
+    test("fails Word extraction over the limits", async () => {
+        const archive = buildZip({ "word/document.xml": documentXml }, { declaredSizes: { "word/document.xml": 100 * 1024 * 1024 } });
+        assert.equal(detectFileType(archive, "bomb.docx"), "docx");
+        await assert.rejects(extractDocument("docx", archive), ZipLimitError);
+    });
+});
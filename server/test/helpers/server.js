@@ -0,0 +1,82 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "index.js");
+
+// Starts the server offline (stub models, local vector store) in a
+// temporary directory. `setup(dataDir)` can seed DATA_DIR before it starts.
+// Resolves to { url, dataDir, register(username), stop() }.
+export async function startServer({ env = {}, setup } = {}) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-server-"));
+    const dataDir = path.join(root, "data");
+    await fs.mkdir(dataDir);
+    if (setup) await setup(dataDir);
+
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: root,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            MODEL_PROVIDER: "stub",
+            VECTOR_STORE: "local",
+            LOCAL_VECTOR_STORE_PATH: path.join(dataDir, "vectors.json"),
+            LOG_LEVEL: "error",
+            ...env
+        },
+        stdio: ["ignore", "ignore", "pipe"]
+    });
+    let stderr = "";
+    child.stderr.on("data", chunk => { stderr += chunk; });
+
+    const url = `http://127.0.0.1:${port}`;
+    for (let ready = false; !ready;) {
+        if (child.exitCode !== null) throw new Error(`Server exited: ${stderr}`);
+        ready = await fetch(url).then(() => true, () => false);
+        if (!ready) await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+        url,
+        dataDir,
+
+        // Registers a user and resolves to their authorization headers
+        async register(username) {
+            const res = await fetch(`${url}/api/auth/register`, {
+                method: "POST",
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify({ username, password: "password123" })
+            });
+            if (res.status !== 201) throw new Error(`Registration failed with ${res.status}: ${await res.text()}`);
+            const { token } = await res.json();
+            return { authorization: `Bearer ${token}` };
+        },
+
+        // Uploads a file to a session and waits for its ingestion job.
+        // Resolves to the finished job.
+        async upload(headers, sessionId, name, contents) {
+            const form = new FormData();
+            form.append("sessionId", sessionId);
+            form.append("file", new Blob([contents]), name);
+            const res = await fetch(`${url}/api/upload`, { method: "POST", headers, body: form });
+            if (res.status !== 202) throw new Error(`Upload failed with ${res.status}: ${await res.text()}`);
+            const { job_id: jobId } = await res.json();
+            for (;;) {
+                const job = await (await fetch(`${url}/api/jobs/${jobId}`, { headers })).json();
+                if (job.status !== "queued" && job.status !== "running") return job;
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+        },
+
+        async stop() {
+            const exited = new Promise(resolve => child.once("exit", resolve));
+            child.kill();
+            await exited;
+            await fs.rm(root, { recursive: true, force: true });
+        }
+    };
+}
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createJobQueue, publicJob } from "../lib/jobs.js";
+
+// A promise with its resolve function, to hold a handler at a known point
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+async function settled(job) {
+    while (!job.finished_at) await new Promise(resolve => setImmediate(resolve));
+    return job;
+}
+
+describe("job queue", () => {
+    test("moves a job from queued through running to completed", async () => {
+        const queue = createJobQueue();
+        const gate = deferred();
+        const seen = [];
+        const job = queue.enqueue({ type: "test" }, async ctx => {
+            seen.push(queue.get(ctx.id).status);
+            ctx.update({ stage: "working", progress: 50 });
+            await gate.promise;
+            return { ok: true };
+        });
+        assert.equal(job.type, "test");
+        assert.deepEqual(seen, ["running"]);
+        assert.equal(job.stage, "working");
+        assert.equal(job.progress, 50);
+        gate.resolve();
+        await settled(job);
+        assert.equal(job.status, "completed");
+        assert.equal(job.progress, 100);
+        assert.deepEqual(job.result, { ok: true });
+        assert.deepEqual(queue.active(), []);
+    });
+
+    test("records a failed job's error", async () => {
+        const queue = createJobQueue();
+        const job = await settled(queue.enqueue({}, async () => { throw new Error("bad input"); }));
+        assert.equal(job.status, "failed");
+        assert.equal(job.error, "bad input");
+    });
+
+    test("runs at most `concurrency` jobs at a time", async () => {
+        const queue = createJobQueue({ concurrency: 1 });
+        const gate = deferred();
+        const first = queue.enqueue({}, () => gate.promise);
+        const second = queue.enqueue({}, async () => "second");
+        assert.equal(first.status, "running");
+        assert.equal(second.status, "queued");
+        assert.equal(queue.active().length, 2);
+        gate.resolve();
+        await settled(second);
+        assert.equal(second.status, "completed");
+    });
+
+    test("stops a running job at its next throwIfCancelled", async () => {
+        const queue = createJobQueue();
+        const gate = deferred();
+        let reached = false;
+        const job = queue.enqueue({}, async ctx => {
+            await gate.promise;
+            assert.equal(ctx.signal.aborted, true);
+            ctx.throwIfCancelled();
+            reached = true;
+        });
+        assert.equal(queue.cancel(job.id), true);
+        gate.resolve();
+        await settled(job);
+        assert.equal(job.status, "cancelled");
+        assert.equal(reached, false);
+    });
+
+    test("marks a handler that finishes after cancellation as cancelled", async () => {
+        const queue = createJobQueue();
+        const gate = deferred();
+        const job = queue.enqueue({}, () => gate.promise);
+        queue.cancel(job.id);
+        gate.resolve("done");
+        await settled(job);
+        assert.equal(job.status, "cancelled");
+        assert.equal(job.result, null);
+    });
+
+    test("drops a queued job without running it and discards its resources", async () => {
+        const queue = createJobQueue({ concurrency: 1 });
+        const gate = deferred();
+        queue.enqueue({}, () => gate.promise);
+        let ran = false;
+        let discarded = 0;
+        const job = queue.enqueue({}, async () => { ran = true; }, { onDiscard: () => discarded++ });
+        assert.equal(queue.cancel(job.id), true);
+        assert.equal(job.status, "cancelled");
+        assert.ok(job.finished_at);
+        assert.equal(discarded, 1);
+        gate.resolve();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(ran, false);
+    });
+
+    test("does not discard jobs that ran", async () => {
+        const queue = createJobQueue();
+        let discarded = 0;
+        const job = await settled(queue.enqueue({}, async () => {}, { onDiscard: () => discarded++ }));
+        assert.equal(queue.cancel(job.id), false);
+        assert.equal(discarded, 0);
+    });
+
+    test("cancelling unknown or finished jobs returns false", () => {
+        const queue = createJobQueue();
+        assert.equal(queue.cancel("missing"), false);
+        assert.equal(queue.get("missing"), null);
+    });
+
+    test("publicJob leaves out the abort controller", () => {
+        const job = createJobQueue().enqueue({}, () => new Promise(() => {}));
+        assert.equal("controller" in publicJob(job), false);
+        assert.equal(publicJob(job).id, job.id);
+    });
+});
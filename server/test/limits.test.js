@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { createRateLimiter, createUsageTracker, secondsUntilReset } from "../lib/limits.js";
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-limits-"));
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+// A clock that only moves when told to
+function manualClock(start) {
+    let time = start;
+    const now = () => time;
+    now.advance = ms => { time += ms; };
+    return now;
+}
+
+describe("rate limiter", () => {
+    test("allows a burst of perMinute requests, then reports the wait", () => {
+        const now = manualClock(0);
+        const limiter = createRateLimiter({ perMinute: 3, now });
+        assert.deepEqual([limiter.take("a"), limiter.take("a"), limiter.take("a")], [0, 0, 0]);
+        // One token refills every 20 seconds
+        assert.equal(limiter.take("a"), 20);
+        // Other keys have their own bucket
+        assert.equal(limiter.take("b"), 0);
+    });
+
+    test("refills continuously", () => {
+        const now = manualClock(0);
+        const limiter = createRateLimiter({ perMinute: 3, now });
+        for (let i = 0; i < 3; i++) limiter.take("a");
+
+        // Waits round up to whole seconds
+        now.advance(12500);
+        assert.equal(limiter.take("a"), 8);
+        now.advance(7000);
+        assert.equal(limiter.take("a"), 1);
+        now.advance(1000);
+        assert.equal(limiter.take("a"), 0);
+        assert.equal(limiter.take("a"), 20);
+    });
+
+    test("refills no further than a full bucket", () => {
+        const now = manualClock(0);
+        const limiter = createRateLimiter({ perMinute: 2, now });
+        now.advance(10 * 60000);
+        assert.deepEqual([limiter.take("a"), limiter.take("a"), limiter.take("a")], [0, 0, 30]);
+    });
+
+    test("does not limit when perMinute is 0", () => {
+        const limiter = createRateLimiter({ perMinute: 0, now: manualClock(0) });
+        for (let i = 0; i < 100; i++) assert.equal(limiter.take("a"), 0);
+    });
+});
+
+describe("daily quotas", () => {
+    test("counts the seconds until midnight UTC", () => {
+        assert.equal(secondsUntilReset(Date.UTC(2026, 0, 1, 23, 59, 0)), 60);
+        assert.equal(secondsUntilReset(Date.UTC(2026, 0, 1, 23, 59, 59, 500)), 1);
+        assert.equal(secondsUntilReset(Date.UTC(2026, 0, 2)), 86400);
+    });
+
+    test("reports a quota once it is used up", async () => {
+        const tracker = createUsageTracker({
+            filePath: path.join(tmpRoot, "exceeded.json"),
+            limits: { generations: 2 },
+            now: manualClock(Date.UTC(2026, 0, 1, 12))
+        });
+        await tracker.record("user-1", "generations", 1);
+        assert.equal(await tracker.exceeded("user-1", ["generations"]), null);
+        await tracker.record("user-1", "generations", 1);
+        assert.deepEqual(await tracker.exceeded("user-1", ["embedding_tokens", "generations"]), { kind: "generations", used: 2, limit: 2 });
+        assert.equal(await tracker.exceeded("user-2", ["generations"]), null);
+
+        const usage = await tracker.usage("user-1");
+        assert.equal(usage.date, "2026-01-01");
+        assert.deepEqual(usage.embedding_tokens, { used: 0, limit: null });
+    });
+
+    test("resets usage at midnight UTC", async () => {
+        const now = manualClock(Date.UTC(2026, 0, 1, 23, 59));
+        const tracker = createUsageTracker({ filePath: path.join(tmpRoot, "reset.json"), limits: { generations: 1 }, now });
+        await tracker.record("user-1", "generations", 1);
+        assert.ok(await tracker.exceeded("user-1", ["generations"]));
+
+        now.advance(60000);
+        assert.equal(await tracker.exceeded("user-1", ["generations"]), null);
+        const usage = await tracker.usage("user-1");
+        assert.equal(usage.date, "2026-01-02");
+        assert.equal(usage.generations.used, 0);
+    });
+
+    test("keeps the day's usage across restarts, but not the previous day's", async () => {
+        const filePath = path.join(tmpRoot, "restart.json");
+        const limits = { embedding_tokens: 1000 };
+        const first = createUsageTracker({ filePath, limits, now: manualClock(Date.UTC(2026, 0, 1, 9)) });
+        await first.record("user-1", "embedding_tokens", 400);
+
+        const sameDay = createUsageTracker({ filePath, limits, now: manualClock(Date.UTC(2026, 0, 1, 17)) });
+        assert.equal((await sameDay.usage("user-1")).embedding_tokens.used, 400);
+
+        const nextDay = createUsageTracker({ filePath, limits, now: manualClock(Date.UTC(2026, 0, 2, 9)) });
+        assert.equal((await nextDay.usage("user-1")).embedding_tokens.used, 0);
+    });
+});
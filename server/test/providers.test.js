@@ -0,0 +1,21 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createModelProvider } from "../lib/providers/index.js";
+
+describe("createModelProvider", () => {
+    test("refuses to start without a configured provider", () => {
+        assert.throws(() => createModelProvider({}), /No model provider configured/);
+    });
+
+    test("uses the stub only when asked for", () => {
+        assert.equal(createModelProvider({ MODEL_PROVIDER: "stub" }).name, "stub");
+    });
+
+    test("picks the provider whose key is set", () => {
+        assert.equal(createModelProvider({ OPENAI_API_KEY: "test-key" }).name, "openai");
+    });
+
+    test("rejects unknown providers", () => {
+        assert.throws(() => createModelProvider({ MODEL_PROVIDER: "other" }), /Unknown MODEL_PROVIDER/);
+    });
+});
@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { createQuizStore } from "../lib/quizzes.js";
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-quizzes-"));
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+describe("quiz store", () => {
+    test("records attempts and keeps quizzes across instances", async () => {
+        const dir = path.join(tmpRoot, "persisted");
+        const store = createQuizStore({ dir });
+        const quiz = await store.create("s1", { type: "mcq", questions: [] });
+        const updated = await store.recordAttempt("s1", quiz.id, { score: 1 });
+        assert.equal(updated.attempts.length, 1);
+        assert.equal(await store.recordAttempt("s1", "missing", { score: 1 }), null);
+
+        const reopened = createQuizStore({ dir });
+        assert.equal((await reopened.get("s1", quiz.id)).attempts[0].score, 1);
+        assert.equal(await reopened.get("s2", quiz.id), null);
+    });
+
+    test("removing a session drops it from memory and disk", async () => {
+        const dir = path.join(tmpRoot, "removed");
+        const store = createQuizStore({ dir });
+        const quiz = await store.create("s1", { type: "mcq", questions: [] });
+        await store.create("s2", { type: "mcq", questions: [] });
+        assert.equal(store.size, 2);
+
+        await store.removeSession("s1");
+        assert.equal(store.size, 1);
+        assert.equal((await fs.readdir(dir)).length, 1);
+        assert.equal(await store.get("s1", quiz.id), null);
+    });
+});
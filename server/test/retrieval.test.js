@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { createLexicalIndex, tokenize } from "../lib/lexical.js";
+import { reciprocalRankFusion, retrieve } from "../lib/retrieval.js";
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-retrieval-"));
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+const DOCS = [
+    { id: "square", text: "A square has four equal sides and four right angles.", metadata: { document_id: "d1" } },
+    { id: "rhombus", text: "A rhombus has four equal sides.", metadata: { document_id: "d1" } },
+    { id: "triangle", text: "A triangle has three sides.", metadata: { document_id: "d2" } },
+    { id: "angles", text: "Angles angles angles: the exterior angles of a polygon sum to 360 degrees.", metadata: { document_id: "d2" } }
+];
+
+describe("tokenize", () => {
+    test("lowercases and splits words and numbers", () => {
+        assert.deepEqual(tokenize("Sum = 360°, Q7!"), ["sum", "360", "q7", "7"]);
+    });
+});
+
+describe("BM25 search", async () => {
+    const index = createLexicalIndex({ dir: path.join(tmpRoot, "lexical") });
+    await index.add("s1", DOCS);
+
+    test("ranks documents by term rarity and frequency", async () => {
+        const results = await index.search("s1", "equal sides", { topK: 4 });
+        // "equal" only occurs in two entries; the shorter one ranks first
+        assert.deepEqual(results.map(r => r.id), ["rhombus", "square", "triangle"]);
+        assert.ok(results[0].score > results[1].score && results[1].score > results[2].score);
+    });
+
+    test("repeated terms score higher, with diminishing returns", async () => {
+        const [top, ...rest] = await index.search("s1", "angles", { topK: 4 });
+        assert.equal(top.id, "angles");
+        assert.deepEqual(rest.map(r => r.id), ["square"]);
+        assert.ok(top.score < rest[0].score * 4);
+    });
+
+    test("returns nothing for unknown terms, and respects topK and filters", async () => {
+        assert.deepEqual(await index.search("s1", "hexagon"), []);
+        assert.equal((await index.search("s1", "sides", { topK: 1 })).length, 1);
+        const filtered = await index.search("s1", "sides", { topK: 4, filter: { document_id: "d2" } });
+        assert.deepEqual(filtered.map(r => r.id), ["triangle"]);
+    });
+
+    test("scores are deterministic", async () => {
+        const first = await index.search("s1", "four sides angles", { topK: 4 });
+        const second = await index.search("s1", "four sides angles", { topK: 4 });
+        assert.deepEqual(first, second);
+    });
+});
+
+describe("keyword index sessions", () => {
+    test("removing a session drops it from memory and disk", async () => {
+        const dir = path.join(tmpRoot, "sessions");
+        const index = createLexicalIndex({ dir });
+        await index.add("s1", DOCS);
+        await index.add("s2", DOCS.slice(0, 1));
+        assert.equal(index.size, 2);
+        assert.equal((await fs.readdir(dir)).length, 2);
+
+        await index.removeSession("s1");
+        assert.equal(index.size, 1);
+        assert.equal((await fs.readdir(dir)).length, 1);
+        assert.deepEqual(await index.search("s1", "sides"), []);
+        assert.equal((await index.search("s2", "sides")).length, 1);
+    });
+});
+
+describe("reciprocalRankFusion", () => {
+    test("sums 1 / (k + rank) over the lists and records each list's rank and score", () => {
+        const fused = reciprocalRankFusion({
+            dense: [{ id: "a", score: 0.9 }, { id: "b", score: 0.8 }],
+            sparse: [{ id: "b", score: 7 }, { id: "c", score: 5 }]
+        }, 60);
+        assert.deepEqual(fused.map(entry => entry.id), ["b", "a", "c"]);
+        assert.equal(fused[0].fused, 1 / 62 + 1 / 61);
+        assert.deepEqual(fused[0].ranks, { dense: 2, sparse: 1 });
+        assert.deepEqual(fused[0].scores, { dense: 0.8, sparse: 7 });
+        assert.equal(fused[1].fused, 1 / 61);
+        assert.equal(fused[2].fused, 1 / 62);
+    });
+
+    test("an item found by both lists beats one ranked first by only one", () => {
+        const fused = reciprocalRankFusion({
+            dense: [{ id: "x" }, { id: "both" }],
+            sparse: [{ id: "y" }, { id: "both" }]
+        });
+        assert.equal(fused[0].id, "both");
+    });
+});
+
+describe("retrieve", () => {
+    const vectorStore = {
+        async query({ topK }) {
+            return [{ id: "rhombus", score: 0.9, metadata: {} }, { id: "triangle", score: 0.7, metadata: {} }].slice(0, topK);
+        }
+    };
+    const lexicalIndex = {
+        async search(sessionId, query, { topK }) {
+            return [{ id: "triangle", score: 3, metadata: {} }, { id: "square", score: 2, metadata: {} }].slice(0, topK);
+        }
+    };
+    const options = { vectorStore, lexicalIndex, embed: async () => [1], sessionId: "s1", query: "sides", topK: 3 };
+
+    test("dense and sparse modes score by their own list", async () => {
+        const dense = await retrieve({ ...options, mode: "dense" });
+        assert.deepEqual(dense.map(r => [r.id, r.score]), [["rhombus", 0.9], ["triangle", 0.7]]);
+        assert.equal(dense[0].scores.sparse_rank, null);
+        const sparse = await retrieve({ ...options, mode: "sparse" });
+        assert.deepEqual(sparse.map(r => [r.id, r.score]), [["triangle", 3], ["square", 2]]);
+    });
+
+    test("hybrid mode fuses both lists", async () => {
+        const hybrid = await retrieve({ ...options, mode: "hybrid" });
+        assert.deepEqual(hybrid.map(r => r.id), ["triangle", "rhombus", "square"]);
+        assert.deepEqual(hybrid[0].scores, { dense: 0.7, dense_rank: 2, sparse: 3, sparse_rank: 1, fused: 1 / 62 + 1 / 61 });
+    });
+});
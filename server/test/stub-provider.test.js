@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { extractWithSchema } from "../lib/extraction.js";
+import { createStubProvider } from "../lib/providers/stub.js";
+
+describe("stub provider", () => {
+    const provider = createStubProvider();
+
+    test("answers with the best-matching passage sentence by default", async () => {
+        const prompt = "Context from the uploaded document:\n<passage id=\"1\">\nA square has four equal sides. Triangles have three.\n</passage>\n\nQuestion: How many sides does a square have?";
+        assert.equal(await provider.generate(prompt), "A square has four equal sides. [1]");
+    });
+
+    test("picks the responder by task, not by the prompt's wording", async () => {
+        // An answer prompt that happens to end like a rewrite prompt
+        const prompt = "User: what is a rhombus\nFollow-up question: its angles\nStandalone question:";
+        assert.equal(await provider.generate(prompt, { task: "rewrite" }), "what is a rhombus its angles");
+        assert.equal(await provider.generate(prompt, { task: "answer" }), "I cannot find the answer in the provided document.");
+    });
+
+    test("rejects unknown tasks", async () => {
+        await assert.rejects(provider.generate("anything", { task: "poetry" }), /Unknown generation task "poetry"/);
+    });
+
+    test("uses injected responders for their tasks only", async () => {
+        const scripted = createStubProvider({ responders: { extraction: () => "not json" } });
+        assert.equal(await scripted.generate("x", { task: "extraction" }), "not json");
+        assert.equal(await scripted.generate("Question: x"), "I cannot find the answer in the provided document.");
+    });
+
+    test("scripted replies drive the extraction retry loop", async () => {
+        const replies = ["not json", "{\"title\": \"Quadrilaterals\"}"];
+        const scripted = createStubProvider({ responders: { extraction: () => replies.shift() } });
+        const { data, attempts } = await extractWithSchema({
+            generate: prompt => scripted.generate(prompt, { task: "extraction" }),
+            text: "Quadrilaterals",
+            schema: { type: "object", properties: { title: { type: "string" } }, required: ["title"] }
+        });
+        assert.deepEqual(data, { title: "Quadrilaterals" });
+        assert.equal(attempts, 2);
+    });
+
+    test("streams the answer", async () => {
+        const pieces = [];
+        for await (const piece of provider.generateStream("Question: nothing")) pieces.push(piece);
+        assert.equal(pieces.join(""), "I cannot find the answer in the provided document.");
+    });
+});
@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { createSummaryCache } from "../lib/cache.js";
+import { createStubProvider } from "../lib/providers/stub.js";
+import { formatPageRange, summarizeChunks } from "../lib/summarize.js";
+import { startServer } from "./helpers/server.js";
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-summarize-"));
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+const provider = createStubProvider();
+
+// Out of order on purpose: summaries follow chunk_index
+const chunks = [
+    { chunk_index: 1, text: "Triangles have three sides. Their angles add up to 180 degrees.", page_start: 2, page_end: 2 },
+    { chunk_index: 0, text: "Squares have four equal sides. Every square is a rectangle.", page_start: 1, page_end: 1 },
+    { chunk_index: 2, text: "Circles have no sides. Their area is pi r squared.", page_start: 3, page_end: 4 }
+];
+
+// summarizeChunks with the stub provider, keeping the prompts it was sent
+async function summarize(items, options) {
+    const prompts = [];
+    const result = await summarizeChunks(items, {
+        ...options,
+        generate: prompt => {
+            prompts.push(prompt);
+            return provider.generate(prompt, { task: "summary" });
+        }
+    });
+    return { ...result, prompts };
+}
+
+describe("page ranges", () => {
+    test("formats pages and sections", () => {
+        assert.equal(formatPageRange(3, 3), "p. 3");
+        assert.equal(formatPageRange(3, null), "p. 3");
+        assert.equal(formatPageRange(3, 5), "pp. 3–5");
+        assert.equal(formatPageRange(null, null), "p. ?");
+        assert.equal(formatPageRange(2, 4, "section"), "§§ 2–4");
+    });
+});
+
+describe("summary modes", () => {
+    test("a short summary maps one batch, then reduces it", async () => {
+        const { summary, parts, prompts } = await summarize(chunks, { mode: "short" });
+        assert.equal(prompts.length, 2);
+        assert.match(prompts[0], /in a few sentences\./);
+        assert.match(prompts[1], /3-5 sentences\./);
+        assert.ok(prompts.every(prompt => prompt.endsWith("\nSummary:")));
+        assert.deepEqual(parts, [{
+            page_start: 1,
+            page_end: 4,
+            summary: "Squares have four equal sides. (p. 1) Triangles have three sides. (p. 2) Circles have no sides. (pp. 3–4)"
+        }]);
+        assert.equal(summary, "Squares have four equal sides. (pp. 1–4)");
+    });
+
+    test("a detailed summary asks for the details", async () => {
+        const { prompts } = await summarize(chunks, { mode: "detailed" });
+        assert.match(prompts[0], /thoroughly, keeping important facts/);
+        assert.match(prompts[1], /several paragraphs/);
+    });
+
+    test("an outline lists one line per part", async () => {
+        const { summary, prompts } = await summarize(chunks, { mode: "outline", batchTokens: 12 });
+        // Three map batches, merged in one reduce
+        assert.equal(prompts.length, 4);
+        assert.ok(prompts.every(prompt => prompt.endsWith("\nOutline:")));
+        assert.equal(summary, [
+            "- Squares have four equal sides. (p. 1)",
+            "- Triangles have three sides. (p. 2)",
+            "- Circles have no sides. (pp. 3–4)"
+        ].join("\n"));
+    });
+
+    test("small batches give one part per batch, in reading order", async () => {
+        const { parts } = await summarize(chunks, { mode: "short", batchTokens: 12 });
+        assert.deepEqual(parts.map(part => [part.page_start, part.page_end]), [[1, 1], [2, 2], [3, 4]]);
+        assert.equal(parts[0].summary, "Squares have four equal sides. (p. 1)");
+    });
+
+    test("documents without pages refer to sections", async () => {
+        const sections = chunks.map(chunk => ({ ...chunk, page_unit: "section" }));
+        const { summary, prompts } = await summarize(sections, { mode: "outline" });
+        assert.match(prompts[0], /^\[§ 1\]$/m);
+        assert.match(prompts[0], /"- Heading \(§ N\): what it covers"/);
+        assert.doesNotMatch(prompts.join("\n"), /\(p\. N\)/);
+        assert.equal(summary, "- Squares have four equal sides. (§§ 1–4)");
+    });
+
+    test("a document without chunks has an empty summary", async () => {
+        const { summary, parts, prompts } = await summarize([], { mode: "short" });
+        assert.equal(summary, "");
+        assert.deepEqual(parts, []);
+        assert.equal(prompts.length, 0);
+    });
+});
+
+describe("summary cache", () => {
+    test("keys entries by fingerprint, mode and model", async () => {
+        const cache = createSummaryCache({ dir: path.join(tmpRoot, "summaries") });
+        const entry = { summary: "Squares.", parts: [] };
+        assert.equal(await cache.get("abc", "short", "stub:stub"), null);
+        await cache.set("abc", "short", "stub:stub", entry);
+        assert.deepEqual(await cache.get("abc", "short", "stub:stub"), entry);
+        assert.equal(await cache.get("abc", "outline", "stub:stub"), null);
+        assert.equal(await cache.get("abc", "short", "openai:gpt"), null);
+        assert.equal(await cache.get("abd", "short", "stub:stub"), null);
+
+        const reopened = createSummaryCache({ dir: path.join(tmpRoot, "summaries") });
+        assert.deepEqual(await reopened.get("abc", "short", "stub:stub"), entry);
+    });
+});
+
+describe("summarize route", () => {
+    const notes = "Squares have four equal sides. Every square is a rectangle.\f"
+        + "Triangles have three sides. Their angles add up to 180 degrees.";
+    let server;
+    let user;
+
+    before(async () => {
+        server = await startServer();
+        user = await server.register("summarizer");
+        assert.equal((await server.upload(user, "s1", "notes.txt", notes)).status, "completed");
+        assert.equal((await server.upload(user, "s2", "copy.txt", notes)).status, "completed");
+    });
+    after(() => server.stop());
+
+    async function summarizeSession(body) {
+        const res = await fetch(`${server.url}/api/summarize`, {
+            method: "POST",
+            headers: { ...user, "content-type": "application/json" },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    test("caches summaries per document and mode", async () => {
+        const first = await summarizeSession({ sessionId: "s1", mode: "short" });
+        assert.equal(first.status, 200);
+        const [summary] = first.body.summaries;
+        assert.equal(summary.cached, false);
+        assert.match(summary.summary, /^Squares have four equal sides\./);
+
+        const again = (await summarizeSession({ sessionId: "s1", mode: "short" })).body.summaries[0];
+        assert.equal(again.cached, true);
+        assert.equal(again.summary, summary.summary);
+
+        // The same file in another session shares the entry
+        assert.equal((await summarizeSession({ sessionId: "s2", mode: "short" })).body.summaries[0].cached, true);
+        assert.equal((await summarizeSession({ sessionId: "s1", mode: "outline" })).body.summaries[0].cached, false);
+    });
+
+    test("refresh regenerates the summary", async () => {
+        await summarizeSession({ sessionId: "s1", mode: "detailed" });
+        const refreshed = await summarizeSession({ sessionId: "s1", mode: "detailed", refresh: true });
+        assert.equal(refreshed.body.summaries[0].cached, false);
+    });
+
+    test("rejects unknown modes", async () => {
+        const { status, body } = await summarizeSession({ sessionId: "s1", mode: "haiku" });
+        assert.equal(status, 400);
+        assert.match(body.error, /mode must be one of: short, detailed, outline/);
+    });
+});
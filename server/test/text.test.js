@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { cleanText, normalizeText, repairMojibake, toSearchText } from "../lib/text.js";
+
+// The eval harness scores these same fixtures; here every case must match
+// exactly
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "eval", "fixtures", "normalization.json");
+const { cases } = JSON.parse(fs.readFileSync(FIXTURES, "utf8"));
+
+describe("normalization fixtures", () => {
+    for (const fixture of cases) {
+        test(fixture.name, () => {
+            if (fixture.display !== undefined) assert.equal(normalizeText(fixture.input), fixture.display);
+            if (fixture.search !== undefined) assert.equal(toSearchText(fixture.input), fixture.search);
+        });
+    }
+});
+
+describe("normalizeText", () => {
+    test("returns an empty string for missing or non-string input", () => {
+        assert.equal(normalizeText(undefined), "");
+        assert.equal(normalizeText(42), "");
+    });
+
+    test("joins words hyphenated across lines and wrapped lines", () => {
+        assert.equal(normalizeText("An exam-\nple of a line that\ncontinues.\nNext line"), "An example of a line that continues.\nNext line");
+    });
+
+    test("collapses runs of blank lines and spaces", () => {
+        assert.equal(normalizeText("One.\r\n\r\n\r\n\r\nTwo  \t words"), "One.\n\nTwo words");
+    });
+});
+
+describe("repairMojibake", () => {
+    test("leaves correctly decoded accented text alone", () => {
+        assert.equal(repairMojibake("Café à la crème"), "Café à la crème");
+    });
+
+    test("repairs multi-byte sequences", () => {
+        assert.equal(repairMojibake("â‚¹500"), "₹500");
+    });
+});
+
+describe("cleanText", () => {
+    test("drops text too short to embed", () => {
+        assert.equal(cleanText("x²"), "");
+    });
+
+    test("caps the length of long text", () => {
+        assert.equal(cleanText("word ".repeat(3000)).length, 8000);
+    });
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { startServer } from "./helpers/server.js";
+
+const PDF = path.join(path.dirname(fileURLToPath(import.meta.url)), "data", "05-versions-space.pdf");
+
+describe("upload page limit", () => {
+    let server;
+    let user;
+
+    before(async () => {
+        server = await startServer({ env: { MAX_UPLOAD_PAGES: "1" } });
+        user = await server.register("uploader");
+    });
+    after(() => server.stop());
+
+    async function upload(name, contents) {
+        const form = new FormData();
+        form.append("sessionId", "s1");
+        form.append("file", new Blob([contents]), name);
+        const res = await fetch(`${server.url}/api/upload`, { method: "POST", headers: user, body: form });
+        return { status: res.status, body: await res.json() };
+    }
+
+    test("refuses PDFs over the limit before queueing a job", async () => {
+        const { status, body } = await upload("worksheet.pdf", await fs.readFile(PDF));
+        assert.equal(status, 413);
+        assert.equal(body.code, "too_many_pages");
+        assert.equal(body.limit, 1);
+        assert.equal(body.job_id, undefined);
+    });
+
+    test("refuses form-feed paginated text over the limit", async () => {
+        const { status, body } = await upload("pages.txt", "one\ftwo");
+        assert.equal(status, 413);
+        assert.equal(body.code, "too_many_pages");
+    });
+
+    test("accepts documents within the limit and documents without pages", async () => {
+        assert.equal((await upload("page.txt", "one page")).status, 202);
+        assert.equal((await upload("notes.md", "# One\n\ntext\n\n# Two\n\nmore")).status, 202);
+    });
+});
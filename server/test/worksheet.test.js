@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { parseQuestionBank, questionBankRows } from "../lib/worksheet.js";
+
+// Text of the bundled worksheet PDF, pages separated by form feeds
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "data", "05-versions-space.pdf.txt");
+const bank = parseQuestionBank(fs.readFileSync(FIXTURE, "utf8").split("\f"));
+
+describe("parseQuestionBank", () => {
+    test("reads the header and marks", () => {
+        assert.deepEqual(bank.header, ["Class – VIII", "Mathematics", "Understanding Quadrilaterals", "Worksheet (BASIC)"]);
+        assert.equal(bank.max_marks, 60);
+        assert.equal(bank.total_marks, 15);
+    });
+
+    test("reads the sections and their marks schemes", () => {
+        assert.deepEqual(bank.sections, [
+            { name: "A", marks_per_question: 1, total_marks: 10, question_count: 10 },
+            { name: "B", marks_per_question: 1, total_marks: 5, question_count: 5 }
+        ]);
+    });
+
+    test("finds every question in order", () => {
+        assert.equal(bank.questions.length, 15);
+        assert.deepEqual(bank.questions.map(q => q.number), Array.from({ length: 15 }, (_, i) => i + 1));
+        assert.deepEqual(bank.questions.map(q => q.section), [...Array(10).fill("A"), ...Array(5).fill("B")]);
+        assert.ok(bank.questions.every(q => q.marks === 1));
+    });
+
+    test("reads (a)-(d) options, including ones wrapped onto a second line", () => {
+        assert.deepEqual(bank.questions[0].options, [
+            { label: "a", text: "Circle" },
+            { label: "b", text: "Polygon" },
+            { label: "c", text: "Line segment" },
+            { label: "d", text: "None of them" }
+        ]);
+        assert.deepEqual(bank.questions[4].options.map(option => option.text),
+            ["25 cm & 50 cm", "40 cm & 37.5 cm", "62.5 cm & 37.5 cm", "60 cm & 62.5 cm"]);
+        assert.equal(bank.questions[3].question,
+            "One angle of a quadrilateral is 150°and other three angles are equal. What is the measure of each of these equal angles ?");
+    });
+
+    test("types questions by their options and blanks", () => {
+        assert.deepEqual(bank.questions.map(q => q.type), [
+            ...Array(5).fill("mcq"),
+            ...Array(5).fill("fill_blank"),
+            ...Array(5).fill("short_answer")
+        ]);
+        assert.equal(bank.questions[5].question, "A parallelogram having all sides equal is called a ____");
+        assert.equal(bank.questions[0].instruction, "Choose the correct option");
+        assert.equal(bank.questions[5].instruction, "Fill the blanks for the following statements");
+    });
+
+    test("flattens to one row per question with a column per option label", () => {
+        const rows = questionBankRows(bank);
+        assert.equal(rows.length, 15);
+        assert.equal(rows[1].option_b, "360°");
+        assert.equal(rows[5].option_a, null);
+    });
+});
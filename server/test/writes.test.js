@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { createWriteQueue, writeFileAtomic } from "../lib/writes.js";
+
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "pdfqa-writes-"));
+after(() => fs.rm(tmpRoot, { recursive: true, force: true }));
+
+// A promise with its resolve function, to hold a write at a known point
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe("write queue", () => {
+    test("serializes writes and recovers from a failed one", async () => {
+        const file = path.join(tmpRoot, "store.json");
+        const writes = createWriteQueue();
+        const gate = deferred();
+        const order = [];
+        const write = (n, before) => writes.run(async () => {
+            order.push(`start ${n}`);
+            await before?.();
+            await writeFileAtomic(file, JSON.stringify({ n }));
+            order.push(`end ${n}`);
+        });
+
+        const first = write(1, () => gate.promise);
+        // A directory where the temporary file goes makes the second write fail
+        const second = write(2, () => fs.mkdir(`${file}.tmp`));
+        const third = write(3, () => fs.rm(`${file}.tmp`, { recursive: true }));
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(order, ["start 1"]);
+
+        gate.resolve();
+        await first;
+        await assert.rejects(second, { code: "EISDIR" });
+        await third;
+        assert.deepEqual(order, ["start 1", "end 1", "start 2", "start 3", "end 3"]);
+        assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")), { n: 3 });
+        assert.equal(writes.size, 0);
+    });
+
+    test("keys do not wait on each other and are dropped when idle", async () => {
+        const writes = createWriteQueue();
+        const gate = deferred();
+        const blocked = writes.run(() => gate.promise, "s1");
+        await writes.run(() => writeFileAtomic(path.join(tmpRoot, "s2.json"), "{}"), "s2");
+        assert.equal(writes.size, 1);
+        gate.resolve();
+        await blocked;
+        assert.equal(writes.size, 0);
+    });
+});